@@ -52,15 +52,7 @@ var Person = Model.derive({
     set age(value) { this.set('_age', value); },
 
     get salary() { return this._salary; },
-    set salary(value) { this.set('_salary', value); },
-
-    toJson: function() {
-        return {
-            name: this.name,
-            age: this.age,
-            salary: this.salary
-        };
-    }
+    set salary(value) { this.set('_salary', value); }
 });
 
 var p = new Person({
@@ -123,16 +123,6 @@ var Person = Model.derive({
                 callback(error);
             });
         }
-    },
-
-    // An explicit function to return a JSON version of the model,
-    // you have to code this yourself
-    toJson: function() {
-        return {
-            name: this.name,
-            age: this.age,
-            bio: this.bio
-        };
     }
 });
 
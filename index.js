@@ -1,2 +1,27 @@
 exports.Model = require('./src/model');
-exports.Utils = require('./src/utils');
\ No newline at end of file
+exports.Collection = require('./src/collection');
+exports.UnitOfWork = require('./src/unit-of-work');
+exports.Utils = require('./src/utils');
+exports.Validators = require('./src/validators');
+exports.adapters = {
+    memory: require('./src/adapters/memory'),
+    file: require('./src/adapters/file'),
+    sql: require('./src/adapters/sql'),
+    eventSourced: require('./src/adapters/event-sourced'),
+    cached: require('./src/adapters/cached')
+};
+exports.caches = {
+    lru: require('./src/caches/lru')
+};
+exports.eventStores = {
+    memory: require('./src/event-stores/memory')
+};
+exports.mixins = {
+    audit: require('./src/mixins/audit'),
+    softDelete: require('./src/mixins/soft-delete'),
+    timestamps: require('./src/mixins/timestamps')
+};
+exports.auditSinks = {
+    memory: require('./src/audit/memory'),
+    file: require('./src/audit/file')
+};
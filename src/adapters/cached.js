@@ -0,0 +1,204 @@
+var Lru = require('../caches/lru'),
+    Utils = require('../utils');
+
+/**
+ * Wraps a data adapter with a cache in front of data.fetch e.g.
+ *
+ *   var Person = Model.derive({
+ *       data: adapters.cached(adapters.sql({ ... }), {
+ *           cache: caches.lru({ max: 500 }),
+ *           ttl: 60000
+ *       })
+ *   });
+ *
+ *   // Only use the cache if the data is less than a second old
+ *   p.fetch({ maxAge: 1000 }, callback);
+ *
+ * fetch() uses the cached data if there is any, and sets refreshedAt to
+ * when it was actually loaded.  Pass maxAge to only use cached data that is
+ * younger than maxAge milliseconds, maxAge: 0 always goes to the adapter.
+ * Fetches with options that change what is loaded, asOf or withDeleted,
+ * neither use nor update the cache.
+ * A successful create or update refreshes the cached data and destroy
+ * removes it.  If the adapter has transactions, see unit-of-work.js, the
+ * data written inside a transaction is removed from the cache straight
+ * away and only cached again once the transaction commits, so a rollback
+ * never leaves rolled back data in the cache.  Every other data function
+ * is passed straight through.
+ * Options:
+ *   cache: see caches/lru.js for the interface, defaults to caches.lru()
+ *   ttl: milliseconds cached data is used for, by default it is used until
+ *        the cache drops it
+ *   type: prefix for the cache keys, needed if several model types share a
+ *         cache
+ *   now: function returning the current time, defaults to new Date()
+ */
+// Fetch options that load something other than the current model
+var UNCACHED_OPTIONS = ['asOf', 'withDeleted'];
+
+module.exports = function(data, options) {
+    options = options || {};
+
+    var cache = options.cache || Lru(),
+        now = options.now || function() {
+            return new Date();
+        },
+        cached = Object.create(data),
+        // The writes made inside each open transaction, keyed by the
+        // transaction, each is { id, data } where data is null for destroy
+        transactions = new Map();
+
+    function key(id) {
+        return (options.type ? options.type + ':' : '') + id;
+    }
+
+    function isFresh(entry, maxAge) {
+        var age = now().getTime() - entry.refreshedAt.getTime();
+        return (options.ttl == null || age <= options.ttl) &&
+            (maxAge == null || age < maxAge);
+    }
+
+    function store(id, fields, callback) {
+        var entry = { data: fields, refreshedAt: now() };
+        Utils.invoke(cache.set, cache, [key(id), entry], function(error) {
+            callback(error, entry);
+        });
+    }
+
+    function remove(id, callback) {
+        Utils.invoke(cache.del, cache, [key(id)], function(error) {
+            callback(error);
+        });
+    }
+
+    /**
+     * When the adapter fails, e.g. with a conflict or because the model has
+     * gone, whatever is cached can't be trusted any more
+     */
+    function removeAfterError(model, error, callback) {
+        if (model.id == null) {
+            return callback(error);
+        }
+        remove(model.id, function() {
+            callback(error);
+        });
+    }
+
+    cached.fetch = function(model, fetchOptions, callback) {
+        var uncached = UNCACHED_OPTIONS.some(function(name) {
+            return fetchOptions[name];
+        });
+        if (uncached) {
+            return Utils.invoke(data.fetch, data, [model, fetchOptions], callback);
+        }
+
+        Utils.invoke(cache.get, cache, [key(model.id)], function(error, entry) {
+            if (error) {
+                return callback(error);
+            }
+            if (entry && isFresh(entry, fetchOptions.maxAge)) {
+                model.set(Utils.clone(entry.data));
+                return callback(null, { refreshedAt: entry.refreshedAt });
+            }
+
+            Utils.invoke(data.fetch, data, [model, fetchOptions], function(error) {
+                if (error) {
+                    return removeAfterError(model, error, callback);
+                }
+                store(model.id, Utils.clone(model.toData()), function(error, entry) {
+                    callback(error, error ? undefined : { refreshedAt: entry.refreshedAt });
+                });
+            });
+        });
+    };
+
+    ['create', 'update'].forEach(function(operation) {
+        cached[operation] = function(model, saveOptions, callback) {
+            Utils.invoke(data[operation], data, [model, saveOptions], function(error) {
+                if (error) {
+                    return removeAfterError(model, error, callback);
+                }
+
+                var fields = Utils.clone(model.toData()),
+                    writes = transactions.get(saveOptions.transaction);
+                if (!writes) {
+                    return store(model.id, fields, function(error) {
+                        callback(error);
+                    });
+                }
+                writes.push({ id: model.id, data: fields });
+                remove(model.id, callback);
+            });
+        };
+    });
+
+    cached.destroy = function(model, destroyOptions, callback) {
+        var writes = transactions.get(destroyOptions.transaction);
+        if (writes) {
+            writes.push({ id: model.id, data: null });
+        }
+
+        remove(model.id, function(error) {
+            if (error) {
+                return callback(error);
+            }
+            Utils.invoke(data.destroy, data, [model, destroyOptions], function(error) {
+                callback(error);
+            });
+        });
+    };
+
+    /**
+     * Caches the data written inside the transaction if it committed,
+     * otherwise makes sure none of it is cached
+     */
+    function settle(transaction, committed, callback) {
+        var writes = transactions.get(transaction) || [];
+        transactions.delete(transaction);
+
+        Utils.series(writes.map(function(write) {
+            return function(next) {
+                if (committed && write.data) {
+                    store(write.id, write.data, function(error) {
+                        next(error);
+                    });
+                }
+                else {
+                    remove(write.id, next);
+                }
+            };
+        }), callback);
+    }
+
+    if (typeof data.begin === 'function') {
+        cached.begin = function(beginOptions, callback) {
+            Utils.invoke(data.begin, data, [beginOptions], function(error, transaction) {
+                if (!error) {
+                    transactions.set(transaction, []);
+                }
+                callback(error, transaction);
+            });
+        };
+
+        cached.commit = function(transaction, commitOptions, callback) {
+            Utils.invoke(data.commit, data, [transaction, commitOptions], function(error) {
+                // The data was removed from the cache when it was written, so
+                // failing to cache it again only costs a fetch and mustn't
+                // fail a commit that has happened
+                settle(transaction, !error, function() {
+                    callback(error);
+                });
+            });
+        };
+
+        cached.rollback = function(transaction, rollbackOptions, callback) {
+            Utils.invoke(data.rollback, data, [transaction, rollbackOptions], function(error) {
+                settle(transaction, false, function(cacheError) {
+                    callback(error || cacheError);
+                });
+            });
+        };
+    }
+
+    return cached;
+};
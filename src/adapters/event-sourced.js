@@ -0,0 +1,245 @@
+var crypto = require('crypto'),
+    Utils = require('../utils');
+
+/**
+ * A data adapter that stores the changes made to a model as a stream of
+ * events rather than the current state, e.g.
+ *
+ *   var Account = Model.derive({
+ *       data: adapters.eventSourced({ store: eventStores.memory(), snapshotEvery: 50 })
+ *   });
+ *
+ * Each save() appends an event holding the changed fields, create events
+ * hold every field, destroy() appends a destroy event.  fetch() rebuilds
+ * the model by replaying the events through set(), starting from the
+ * latest snapshot if there is one.  Fields the model has that weren't in
+ * the stream at that point are removed first.  Pass asOf to fetch the
+ * model as it was at an earlier point:
+ *
+ *   Account.findById(5, { asOf: { version: 3 } }, callback)
+ *   Account.findById(5, { asOf: { at: yesterday } }, callback)
+ *
+ * Each event is { version, type: 'create'|'update'|'destroy', changes, at }
+ * see event-stores/memory.js for the event store interface.
+ * Options:
+ *   store: the event store, required
+ *   type: prefix for the stream names, needed if several model types share
+ *         a store
+ *   snapshotEvery: saves a snapshot of the model every n events, the store
+ *                  must support snapshots
+ *   generateId: function that returns the id for a newly created model, by
+ *               default a random hex string is used
+ *   now: function returning the current time, defaults to new Date()
+ */
+module.exports = function(options) {
+    options = options || {};
+    if (!options.store) {
+        throw new Error('the eventSourced adapter requires a store option');
+    }
+
+    var store = options.store,
+        now = options.now || function() {
+            return new Date();
+        };
+
+    function generateId() {
+        return options.generateId ? options.generateId() : crypto.randomBytes(8).toString('hex');
+    }
+
+    function streamName(id) {
+        return (options.type ? options.type + ':' : '') + id;
+    }
+
+    function notFound(id) {
+        return { notFound: true, message: 'no events for id ' + id };
+    }
+
+    /**
+     * Only snapshots and events up to asOf are used
+     */
+    function included(item, asOf) {
+        if (!asOf) {
+            return true;
+        }
+        if (asOf.version != null && item.version > asOf.version) {
+            return false;
+        }
+        return asOf.at == null || new Date(item.at).getTime() <= new Date(asOf.at).getTime();
+    }
+
+    function latestSnapshot(stream, asOf, callback) {
+        if (typeof store.snapshots !== 'function') {
+            return callback(null, null);
+        }
+        Utils.invoke(store.snapshots, store, [stream], function(error, snapshots) {
+            if (error) {
+                return callback(error);
+            }
+            var usable = (snapshots || []).filter(function(snapshot) {
+                return included(snapshot, asOf);
+            });
+            callback(null, usable.length > 0 ? usable[usable.length - 1] : null);
+        });
+    }
+
+    /**
+     * Replays the stream for id through target.set(name, value), calls back
+     * with the version the target was rebuilt to, or notFound if there are
+     * no events or the model has been destroyed
+     */
+    function replay(id, asOf, target, callback) {
+        var stream = streamName(id);
+
+        latestSnapshot(stream, asOf, function(error, snapshot) {
+            if (error) {
+                return callback(error);
+            }
+
+            Utils.invoke(store.events, store, [stream], function(error, events) {
+                if (error) {
+                    return callback(error);
+                }
+
+                var from = snapshot ? snapshot.version : 0;
+                events = (events || []).filter(function(event) {
+                    return event.version > from && included(event, asOf);
+                });
+                var last = events[events.length - 1];
+                if ((!snapshot && !last) || (last && last.type === 'destroy')) {
+                    return callback(notFound(id));
+                }
+
+                [snapshot ? snapshot.state : {}].concat(events.map(function(event) {
+                    return event.changes || {};
+                })).forEach(function(changes) {
+                    Object.keys(changes).forEach(function(name) {
+                        target.set(name, Utils.clone(changes[name]));
+                    });
+                });
+
+                callback(null, last ? last.version : snapshot.version);
+            });
+        });
+    }
+
+    /**
+     * Rebuilds the current state as a plain object
+     */
+    function currentState(id, callback) {
+        var state = {};
+        replay(id, null, {
+            set: function(name, value) {
+                state[name] = value;
+            }
+        }, function(error) {
+            callback(error, state);
+        });
+    }
+
+    /**
+     * Removes the fields that aren't in the replayed changes from the model,
+     * so it doesn't keep fields from a later version, then replays the
+     * changes through set()
+     */
+    function apply(model, changes) {
+        var names = changes.map(function(change) {
+            return change.name;
+        });
+
+        Object.keys(model.toData()).forEach(function(name) {
+            if (name === 'id' || names.indexOf(name) !== -1) {
+                return;
+            }
+            if (model.defaults && model.defaults.hasOwnProperty(name)) {
+                model.set(name, Utils.clone(model.defaults[name]));
+                return;
+            }
+            model.set(name, undefined);
+            delete model[model.hasOwnProperty('_' + name) ? '_' + name : name];
+        });
+        changes.forEach(function(change) {
+            model.set(change.name, change.value);
+        });
+    }
+
+    function append(model, type, changes, callback) {
+        var stream = streamName(model.id),
+            event = { type: type, changes: changes, at: now() };
+
+        Utils.invoke(store.append, store, [stream, event], function(error, version) {
+            if (error || type === 'destroy' || !options.snapshotEvery || version % options.snapshotEvery !== 0) {
+                return callback(error);
+            }
+            var snapshot = { version: version, at: event.at, state: model.toData() };
+            Utils.invoke(store.saveSnapshot, store, [stream, snapshot], function(error) {
+                callback(error);
+            });
+        });
+    }
+
+    return {
+        create: function(model, createOptions, callback) {
+            if (model.id == null) {
+                model.id = generateId();
+            }
+            append(model, 'create', model.toData(), callback);
+        },
+
+        fetch: function(model, fetchOptions, callback) {
+            var changes = [];
+            replay(model.id, fetchOptions.asOf, {
+                set: function(name, value) {
+                    changes.push({ name: name, value: value });
+                }
+            }, function(error) {
+                if (!error) {
+                    apply(model, changes);
+                }
+                callback(error);
+            });
+        },
+
+        update: function(model, updateOptions, callback) {
+            // Nested changes are reported by path e.g. address.city, the
+            // event holds the whole field
+            var fields = model.toData(),
+                changes = {};
+            Object.keys(model.changed()).forEach(function(path) {
+                var name = path.split('.')[0];
+                if (fields.hasOwnProperty(name)) {
+                    changes[name] = fields[name];
+                }
+            });
+
+            currentState(model.id, function(error, state) {
+                if (error) {
+                    return callback(error);
+                }
+                var version = updateOptions.version;
+                if (version && !Utils.sameVersion(state[version.field], version.expected)) {
+                    return callback({ conflict: true, current: state });
+                }
+                if (Object.keys(changes).length === 0) {
+                    return callback();
+                }
+                append(model, 'update', changes, callback);
+            });
+        },
+
+        destroy: function(model, destroyOptions, callback) {
+            currentState(model.id, function(error) {
+                if (error) {
+                    return callback(error);
+                }
+                append(model, 'destroy', {}, callback);
+            });
+        },
+
+        /**
+         * Calls back with the events for the model with the id, oldest first
+         */
+        history: function(id, callback) {
+            Utils.invoke(store.events, store, [streamName(id)], callback);
+        }
+    };
+};
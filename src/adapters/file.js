@@ -0,0 +1,184 @@
+var crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    Query = require('../query'),
+    Utils = require('../utils');
+
+/**
+ * A data adapter that stores each model as a JSON file, named after the id
+ * of the model, in a directory e.g.
+ *
+ *   var Person = Model.derive({
+ *       data: adapters.file({ directory: '/var/data/people' })
+ *   });
+ *
+ * Use a different directory for each type of model.  The directory is
+ * created if it doesn't exist.  Files are written to a temporary file and
+ * then renamed, so a crash part way through a save never leaves a half
+ * written file behind.
+ * Options:
+ *   directory: where the files are stored, required
+ *   generateId: function that returns the id for a newly created item, by
+ *               default a random hex string is used
+ */
+module.exports = function(options) {
+    options = options || {};
+    if (!options.directory) {
+        throw new Error('the file adapter requires a directory option');
+    }
+
+    var directory = options.directory,
+        directoryReady = false;
+
+    function generateId() {
+        return options.generateId ? options.generateId() : crypto.randomBytes(8).toString('hex');
+    }
+
+    function fileName(id) {
+        return path.join(directory, encodeURIComponent(String(id)) + '.json');
+    }
+
+    /**
+     * Converts fs errors to the error objects used by the other adapters
+     */
+    function toError(error, id) {
+        if (error.code === 'ENOENT') {
+            return { notFound: true, message: 'no item with id ' + id };
+        }
+        return { ioError: true, error: error, message: error.message };
+    }
+
+    function ensureDirectory(callback) {
+        if (directoryReady) {
+            return callback();
+        }
+        fs.mkdir(directory, { recursive: true }, function(error) {
+            if (error && error.code !== 'EEXIST') {
+                return callback(toError(error));
+            }
+            directoryReady = true;
+            callback();
+        });
+    }
+
+    function write(id, item, callback) {
+        var file = fileName(id),
+            tempFile = file + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+
+        ensureDirectory(function(error) {
+            if (error) {
+                return callback(error);
+            }
+
+            fs.writeFile(tempFile, JSON.stringify(item), function(error) {
+                if (error) {
+                    return callback(toError(error, id));
+                }
+                fs.rename(tempFile, file, function(error) {
+                    if (error) {
+                        fs.unlink(tempFile, function() {
+                            callback(toError(error, id));
+                        });
+                        return;
+                    }
+                    callback();
+                });
+            });
+        });
+    }
+
+    function read(id, callback) {
+        fs.readFile(fileName(id), 'utf8', function(error, contents) {
+            if (error) {
+                return callback(toError(error, id));
+            }
+
+            var item;
+            try {
+                item = JSON.parse(contents);
+            }
+            catch (e) {
+                return callback({ ioError: true, error: e, message: 'invalid JSON in file for id ' + id });
+            }
+            callback(null, item);
+        });
+    }
+
+    return {
+        create: function(model, options, callback) {
+            var id = generateId(),
+                item = model.toData();
+
+            item.id = id;
+            write(id, item, function(error) {
+                if (!error) {
+                    model.id = id;
+                }
+                callback(error);
+            });
+        },
+
+        fetch: function(model, options, callback) {
+            read(model.id, function(error, item) {
+                if (!error) {
+                    model.set(item);
+                }
+                callback(error);
+            });
+        },
+
+        update: function(model, options, callback) {
+            read(model.id, function(error, item) {
+                if (error) {
+                    return callback(error);
+                }
+                if (options.version && !Utils.sameVersion(item[options.version.field], options.version.expected)) {
+                    return callback({ conflict: true, current: item });
+                }
+                write(model.id, model.toData(), callback);
+            });
+        },
+
+        destroy: function(model, options, callback) {
+            fs.unlink(fileName(model.id), function(error) {
+                callback(error ? toError(error, model.id) : undefined);
+            });
+        },
+
+        /**
+         * Reads every file in the directory, fine for the small data sets
+         * this adapter is meant for
+         */
+        query: function(query, options, callback) {
+            fs.readdir(directory, function(error, files) {
+                if (error) {
+                    // Nothing has been saved yet
+                    return callback(error.code === 'ENOENT' ? null : toError(error), []);
+                }
+
+                var ids = files.filter(function(file) {
+                        return /\.json$/.test(file);
+                    }).map(function(file) {
+                        return decodeURIComponent(file.slice(0, -'.json'.length));
+                    }),
+                    items = [];
+
+                (function next(index) {
+                    if (index === ids.length) {
+                        return callback(null, Query.run(items, query));
+                    }
+                    read(ids[index], function(error, item) {
+                        // The file may have been removed since readdir
+                        if (error && !error.notFound) {
+                            return callback(error);
+                        }
+                        if (item) {
+                            items.push(item);
+                        }
+                        next(index + 1);
+                    });
+                })(0);
+            });
+        }
+    };
+};
@@ -0,0 +1,146 @@
+var Query = require('../query'),
+    Utils = require('../utils');
+
+/**
+ * An in-memory data adapter, useful for tests and prototyping.  Plug it in
+ * to a model as the data object e.g.
+ *
+ *   var Person = Model.derive({ data: adapters.memory() });
+ *
+ * Each call creates a new, empty store.  Copies of the models are stored, so
+ * changes to a model are not visible in the store until the model is saved.
+ * Options:
+ *   generateId: function that returns the id for a newly created item, by
+ *               default ids are 1, 2, 3 ...
+ */
+module.exports = function(options) {
+    options = options || {};
+
+    var items = {},
+        nextId = 1;
+
+    function generateId() {
+        return options.generateId ? options.generateId() : nextId++;
+    }
+
+    function notFound(id) {
+        return { notFound: true, message: 'no item with id ' + id };
+    }
+
+    function reply(callback, error) {
+        process.nextTick(function() {
+            callback(error);
+        });
+    }
+
+    return {
+        create: function(model, options, callback) {
+            var id = generateId(),
+                item = Utils.clone(model.toData());
+
+            item.id = id;
+            items[id] = item;
+            model.id = id;
+            reply(callback);
+        },
+
+        fetch: function(model, options, callback) {
+            var item = items[model.id];
+            if (!item) {
+                return reply(callback, notFound(model.id));
+            }
+
+            model.set(Utils.clone(item));
+            reply(callback);
+        },
+
+        update: function(model, options, callback) {
+            var item = items[model.id];
+            if (!item) {
+                return reply(callback, notFound(model.id));
+            }
+            if (options.version && !Utils.sameVersion(item[options.version.field], options.version.expected)) {
+                return reply(callback, { conflict: true, current: Utils.clone(item) });
+            }
+
+            items[model.id] = Utils.clone(model.toData());
+            reply(callback);
+        },
+
+        destroy: function(model, options, callback) {
+            if (!items[model.id]) {
+                return reply(callback, notFound(model.id));
+            }
+
+            delete items[model.id];
+            reply(callback);
+        },
+
+        query: function(query, options, callback) {
+            var result = Query.run(Object.keys(items).map(function(id) {
+                return items[id];
+            }), query);
+
+            process.nextTick(function() {
+                callback(null, result.map(Utils.clone));
+            });
+        },
+
+        /**
+         * Transactions for UnitOfWork, rolling back puts the store back the
+         * way it was when the transaction began.  Only one transaction at a
+         * time is supported
+         */
+        begin: function(options, callback) {
+            var transaction = { items: Utils.clone(items), nextId: nextId };
+            process.nextTick(function() {
+                callback(null, transaction);
+            });
+        },
+
+        commit: function(transaction, options, callback) {
+            reply(callback);
+        },
+
+        rollback: function(transaction, options, callback) {
+            items = transaction.items;
+            nextId = transaction.nextId;
+            reply(callback);
+        },
+
+        /**
+         * Removes everything from the store and starts the ids from 1 again
+         */
+        reset: function() {
+            items = {};
+            nextId = 1;
+        },
+
+        /**
+         * Adds plain objects to the store, items without an id are given
+         * one. Returns the seeded items
+         */
+        seed: function(seedItems) {
+            return [].concat(seedItems).map(function(item) {
+                item = Utils.clone(item);
+                if (item.id == null) {
+                    item.id = generateId();
+                }
+                else if (typeof item.id === 'number' && item.id >= nextId) {
+                    nextId = item.id + 1;
+                }
+                items[item.id] = item;
+                return Utils.clone(item);
+            });
+        },
+
+        /**
+         * Returns copies of all of the items in the store
+         */
+        all: function() {
+            return Object.keys(items).map(function(id) {
+                return Utils.clone(items[id]);
+            });
+        }
+    };
+};
@@ -0,0 +1,332 @@
+var Utils = require('../utils');
+
+/**
+ * A data adapter for SQL databases.  It doesn't depend on any particular
+ * driver, you pass in a query function that runs a parameterized statement
+ * e.g. for the sqlite3 module:
+ *
+ *   var Person = Model.derive({
+ *       data: adapters.sql({
+ *           table: 'people',
+ *           returning: true,
+ *           query: function(sql, params, callback) {
+ *               // run reports the rows changed, all is needed to read rows
+ *               var select = /^SELECT/.test(sql);
+ *               db[select ? 'all' : 'run'](sql, params, function(error, rows) {
+ *                   callback(error, select ? rows : this);
+ *               });
+ *           }
+ *       })
+ *   });
+ *
+ * create inserts all of the model fields, update only sets the columns in
+ * model.changed() and doesn't touch the database if nothing has changed.
+ * Object and array values are written as JSON, list the columns in the
+ * json option so they are parsed again when they are read.
+ * Options:
+ *   table: name of the table, required
+ *   query: function(sql, params, callback(error, result)), required
+ *   idColumn: name of the id column, defaults to 'id'
+ *   json: array of the columns holding JSON, string values read from them
+ *         are parsed
+ *   placeholder: function(index) returning the parameter placeholder for the
+ *                1 based index, defaults to '?', use '$' + index for postgres
+ *   quoteIdentifier: function(name) used to quote table and column names,
+ *                    defaults to "name", use `name` for mysql
+ *   returning: if true the insert has RETURNING <idColumn> appended
+ *   noLimit: the LIMIT clause used when there is an offset but no limit,
+ *            defaults to 'LIMIT -1' for sqlite, use 'LIMIT ALL' for
+ *            postgres or 'LIMIT 18446744073709551615' for mysql
+ *   rows: function(result) returning the array of rows from a query result
+ *   insertId: function(result) returning the id of an inserted row
+ *   affectedRows: function(result) returning the number of rows an
+ *                 update/delete changed, or undefined if it isn't known
+ * The default rows, insertId and affectedRows functions understand the
+ * results of the common mysql, postgres and sqlite drivers.  Without the
+ * number of changed rows a missing row or a version conflict can't be
+ * detected, so update and destroy call back with badImplementation if
+ * affectedRows returns undefined.
+ */
+module.exports = function(options) {
+    options = options || {};
+    if (!options.table || typeof options.query !== 'function') {
+        throw new Error('the sql adapter requires table and query options');
+    }
+
+    var idColumn = options.idColumn || 'id',
+        placeholder = options.placeholder || function() { return '?'; },
+        noLimit = options.noLimit || 'LIMIT -1',
+        quote = options.quoteIdentifier || function(name) {
+            return '"' + String(name).replace(/"/g, '""') + '"';
+        },
+        rows = options.rows || function(result) {
+            if (Array.isArray(result)) {
+                return result;
+            }
+            return (result && result.rows) || [];
+        },
+        insertId = options.insertId || function(result) {
+            if (result && result.insertId != null) {
+                return result.insertId;
+            }
+            if (result && result.lastID != null) {
+                return result.lastID;
+            }
+            var row = rows(result)[0];
+            return row ? row[idColumn] : undefined;
+        },
+        affectedRows = options.affectedRows || function(result) {
+            if (!result) {
+                return undefined;
+            }
+            if (result.affectedRows != null) {
+                return result.affectedRows;
+            }
+            if (result.changes != null) {
+                return result.changes;
+            }
+            return result.rowCount != null ? result.rowCount : undefined;
+        },
+        table = quote(options.table);
+
+    function unknownChanges(operation) {
+        return {
+            badImplementation: true,
+            message: 'the ' + operation + ' result for ' + options.table + ' does not say how many ' +
+                'rows changed, check the query and affectedRows options'
+        };
+    }
+
+    function notFound(id) {
+        return { notFound: true, message: 'no row in ' + options.table + ' with id ' + id };
+    }
+
+    /**
+     * Objects and arrays are stored as JSON
+     */
+    function toParam(value) {
+        if (Array.isArray(value) || Utils.isPlainObject(value)) {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
+    /**
+     * Parses the JSON columns of a row read from the database, drivers that
+     * already parse JSON columns return objects and those are left alone
+     */
+    function fromRow(row) {
+        if (!row) {
+            return row;
+        }
+        (options.json || []).forEach(function(column) {
+            if (typeof row[column] === 'string') {
+                try {
+                    row[column] = JSON.parse(row[column]);
+                }
+                catch (e) {
+                    // Not JSON after all, leave the value as it is
+                }
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Collects the parameters for a statement, param() adds a value and
+     * returns its placeholder
+     */
+    function statement() {
+        var params = [];
+        return {
+            params: params,
+            param: function(value) {
+                params.push(toParam(value));
+                return placeholder(params.length);
+            }
+        };
+    }
+
+    function whereId(s, id) {
+        return 'WHERE ' + quote(idColumn) + ' = ' + s.param(id);
+    }
+
+    /**
+     * Builds the WHERE clause for a query, null values match NULL
+     */
+    function where(s, criteria) {
+        var fields = Object.keys(criteria || {});
+        if (fields.length === 0) {
+            return '';
+        }
+        return ' WHERE ' + fields.map(function(field) {
+            if (criteria[field] == null) {
+                return quote(field) + ' IS NULL';
+            }
+            return quote(field) + ' = ' + s.param(criteria[field]);
+        }).join(' AND ');
+    }
+
+    function selectById(id, callback) {
+        var s = statement(),
+            sql = 'SELECT * FROM ' + table + ' ' + whereId(s, id);
+
+        options.query(sql, s.params, function(error, result) {
+            callback(error, error ? undefined : fromRow(rows(result)[0]));
+        });
+    }
+
+    return {
+        create: function(model, queryOptions, callback) {
+            var fields = model.toData(),
+                columns = Object.keys(fields).filter(function(name) {
+                    return name !== idColumn || fields[name] != null;
+                }),
+                s = statement(),
+                sql = 'INSERT INTO ' + table +
+                    ' (' + columns.map(quote).join(', ') + ')' +
+                    ' VALUES (' + columns.map(function(name) { return s.param(fields[name]); }).join(', ') + ')';
+
+            if (options.returning) {
+                sql += ' RETURNING ' + quote(idColumn);
+            }
+
+            options.query(sql, s.params, function(error, result) {
+                if (error) {
+                    return callback(error);
+                }
+                if (model.id == null) {
+                    model.id = insertId(result);
+                }
+                callback();
+            });
+        },
+
+        fetch: function(model, queryOptions, callback) {
+            selectById(model.id, function(error, row) {
+                if (error) {
+                    return callback(error);
+                }
+                if (!row) {
+                    return callback(notFound(model.id));
+                }
+                model.set(row);
+                callback();
+            });
+        },
+
+        update: function(model, queryOptions, callback) {
+            if (!model.hasChanged()) {
+                return process.nextTick(callback);
+            }
+
+            // Nested changes are reported by path e.g. address.city, the
+            // whole column has to be written
+            var fields = model.toData(),
+                columns = [];
+            Object.keys(model.changed()).forEach(function(path) {
+                var column = path.split('.')[0];
+                if (column !== idColumn && columns.indexOf(column) === -1 && fields.hasOwnProperty(column)) {
+                    columns.push(column);
+                }
+            });
+
+            if (columns.length === 0) {
+                return process.nextTick(callback);
+            }
+
+            var s = statement(),
+                version = queryOptions.version,
+                sql = 'UPDATE ' + table + ' SET ' +
+                    columns.map(function(column) {
+                        return quote(column) + ' = ' + s.param(fields[column]);
+                    }).join(', ') +
+                    ' ' + whereId(s, model.id);
+
+            if (version) {
+                sql += ' AND ' + quote(version.field) + ' = ' + s.param(version.expected);
+            }
+
+            options.query(sql, s.params, function(error, result) {
+                if (error) {
+                    return callback(error);
+                }
+                var changes = affectedRows(result);
+                if (changes === undefined) {
+                    return callback(unknownChanges('update'));
+                }
+                if (changes !== 0) {
+                    return callback();
+                }
+                if (!version) {
+                    return callback(notFound(model.id));
+                }
+
+                // Either the row is gone or someone else updated it
+                selectById(model.id, function(error, row) {
+                    if (error) {
+                        return callback(error);
+                    }
+                    callback(row ? { conflict: true, current: row } : notFound(model.id));
+                });
+            });
+        },
+
+        query: function(query, queryOptions, callback) {
+            var s = statement(),
+                sql = 'SELECT * FROM ' + table + where(s, query.where);
+
+            if (query.sort && query.sort.length > 0) {
+                sql += ' ORDER BY ' + query.sort.map(function(sort) {
+                    return quote(sort.field) + (sort.direction === 'desc' ? ' DESC' : ' ASC');
+                }).join(', ');
+            }
+            if (query.limit != null) {
+                sql += ' LIMIT ' + s.param(query.limit);
+            }
+            else if (query.offset) {
+                // OFFSET is only allowed after a LIMIT in sqlite and mysql
+                sql += ' ' + noLimit;
+            }
+            if (query.offset) {
+                sql += ' OFFSET ' + s.param(query.offset);
+            }
+
+            options.query(sql, s.params, function(error, result) {
+                callback(error, error ? undefined : rows(result).map(fromRow));
+            });
+        },
+
+        count: function(query, queryOptions, callback) {
+            var s = statement(),
+                sql = 'SELECT COUNT(*) AS ' + quote('count') + ' FROM ' + table + where(s, query.where);
+
+            options.query(sql, s.params, function(error, result) {
+                if (error) {
+                    return callback(error);
+                }
+                var row = rows(result)[0] || {};
+                callback(null, Number(row.count));
+            });
+        },
+
+        destroy: function(model, queryOptions, callback) {
+            var s = statement(),
+                sql = 'DELETE FROM ' + table + ' ' + whereId(s, model.id);
+
+            options.query(sql, s.params, function(error, result) {
+                if (error) {
+                    return callback(error);
+                }
+                var changes = affectedRows(result);
+                if (changes === undefined) {
+                    return callback(unknownChanges('delete'));
+                }
+                if (changes === 0) {
+                    return callback(notFound(model.id));
+                }
+                callback();
+            });
+        }
+    };
+};
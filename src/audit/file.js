@@ -0,0 +1,60 @@
+var fs = require('fs');
+
+/**
+ * An audit sink that appends each entry to a file as a line of JSON e.g.
+ *
+ *   mixins.audit({ type: 'Person', sink: auditSinks.file({ file: '/var/log/audit.log' }) })
+ *
+ * Entries for every model type can share the same file.  Dates in the
+ * changes are read back as ISO strings, the at field is read back as a Date.
+ * Options:
+ *   file: path of the file, required
+ */
+module.exports = function(options) {
+    options = options || {};
+    if (!options.file) {
+        throw new Error('the file audit sink requires a file option');
+    }
+
+    function ioError(error) {
+        return { ioError: true, error: error, message: error.message };
+    }
+
+    return {
+        append: function(entry, callback) {
+            fs.appendFile(options.file, JSON.stringify(entry) + '\n', function(error) {
+                callback(error ? ioError(error) : undefined);
+            });
+        },
+
+        /**
+         * Calls back with the entries for the model type and id, oldest first
+         */
+        history: function(query, callback) {
+            fs.readFile(options.file, 'utf8', function(error, contents) {
+                if (error) {
+                    // Nothing has been recorded yet
+                    return callback(error.code === 'ENOENT' ? null : ioError(error), []);
+                }
+
+                var entries = [];
+                try {
+                    contents.split('\n').forEach(function(line) {
+                        if (!line) {
+                            return;
+                        }
+                        var entry = JSON.parse(line);
+                        if (entry.type === query.type && String(entry.id) === String(query.id)) {
+                            entry.at = new Date(entry.at);
+                            entries.push(entry);
+                        }
+                    });
+                }
+                catch (e) {
+                    return callback({ ioError: true, error: e, message: 'invalid JSON in ' + options.file });
+                }
+                callback(null, entries);
+            });
+        }
+    };
+};
@@ -0,0 +1,39 @@
+var Utils = require('../utils');
+
+/**
+ * An audit sink that keeps the entries in memory, useful for tests.  Each
+ * call creates a new, empty sink
+ */
+module.exports = function() {
+    var entries = [];
+
+    return {
+        append: function(entry, callback) {
+            entries.push(Utils.clone(entry));
+            process.nextTick(callback);
+        },
+
+        /**
+         * Calls back with the entries for the model type and id, oldest first
+         */
+        history: function(query, callback) {
+            var result = entries.filter(function(entry) {
+                return entry.type === query.type && String(entry.id) === String(query.id);
+            });
+            process.nextTick(function() {
+                callback(null, result.map(Utils.clone));
+            });
+        },
+
+        /**
+         * Returns copies of all of the entries
+         */
+        all: function() {
+            return entries.map(Utils.clone);
+        },
+
+        reset: function() {
+            entries = [];
+        }
+    };
+};
@@ -0,0 +1,66 @@
+/**
+ * An in-process least recently used cache for the cached data adapter.
+ * Once it holds max items, setting a new item removes the item that was
+ * used longest ago.  A cache has:
+ *   get(key, callback(error, value)): value is undefined if the key isn't
+ *     in the cache
+ *   set(key, value, callback(error))
+ *   del(key, callback(error))
+ * Each function can also return a promise instead of calling back, so
+ * other caches, e.g. redis or memcached, can be plugged in.
+ * Options:
+ *   max: the most items the cache holds, defaults to 1000
+ */
+module.exports = function(options) {
+    options = options || {};
+
+    var max = options.max || 1000,
+        // Maps iterate in insertion order, so the first key is the least
+        // recently used one
+        items = new Map();
+
+    function reply(callback, value) {
+        process.nextTick(function() {
+            callback(null, value);
+        });
+    }
+
+    return {
+        get: function(key, callback) {
+            var value = items.get(key);
+            if (items.has(key)) {
+                items.delete(key);
+                items.set(key, value);
+            }
+            reply(callback, value);
+        },
+
+        set: function(key, value, callback) {
+            items.delete(key);
+            items.set(key, value);
+            if (items.size > max) {
+                items.delete(items.keys().next().value);
+            }
+            reply(callback);
+        },
+
+        del: function(key, callback) {
+            items.delete(key);
+            reply(callback);
+        },
+
+        /**
+         * The number of items in the cache
+         */
+        size: function() {
+            return items.size;
+        },
+
+        /**
+         * Removes everything from the cache
+         */
+        reset: function() {
+            items.clear();
+        }
+    };
+};
@@ -1 +1,241 @@
-//TODO: When somebody needs it :)
\ No newline at end of file
+var events = require('events'),
+    util = require('util'),
+    IdentityMap = require('./identity-map'),
+    Model = require('./model'),
+    Utils = require('./utils');
+
+/**
+ * An ordered list of models of a single type.  The type of model the
+ * collection holds is specified by the "model" property, any plain objects
+ * passed to the collection are turned in to instances of that model
+ */
+function Collection(models, options) {
+
+    options = options || {};
+    if (options.model) {
+        this.model = options.model;
+    }
+
+    this.models = [];
+    this.length = 0;
+
+    if (models) {
+        this.add(models);
+    }
+    this.init.apply(this, arguments);
+}
+
+/**
+ * Collections support events in the same way models do
+ */
+util.inherits(Collection, events.EventEmitter);
+
+/**
+ * The type of model the collection holds, override this when you derive
+ * a collection e.g. Collection.derive({ model: Person })
+ */
+Collection.prototype.model = Model;
+
+/**
+ * Each collection has a "data" property, this is where you override
+ * fetch to load a list of models from your backing store
+ */
+Collection.prototype.data = {
+    fetch: function(collection, options, callback) {
+        process.nextTick(function() {
+            callback({ notImplemented: true });
+        });
+    }
+};
+
+Collection.prototype.init = function() {
+};
+
+/**
+ * Loads the collection from the backing store.  data.fetch should call
+ * back with an array of plain objects, one per model (or return a promise
+ * that resolves to the array), these replace the current contents of the
+ * collection.  If no callback is passed a promise is returned
+ */
+Collection.prototype.fetch = function(options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    var self = this;
+    return Utils.promiseOrCallback(callback, function(done) {
+        Utils.invoke(self.data.fetch, self.data, [self, options], function(error, items) {
+            if (!error) {
+                var refreshedAt = new Date();
+                self.reset((items || []).map(function(properties) {
+                    // Keep the instance from the identity map, including
+                    // any changes that haven't been saved yet
+                    var existing = options.scope && properties &&
+                        options.scope.get(self.model, properties.id);
+                    if (existing) {
+                        return existing;
+                    }
+
+                    // Items come straight from the backing store, so they
+                    // should not be considered changed
+                    var model = self._prepareModel(properties);
+                    model._clearDirty();
+                    model.refreshedAt = refreshedAt;
+                    return IdentityMap.track(model, options.scope);
+                }));
+                self.refreshedAt = refreshedAt;
+            }
+
+            done(error);
+        });
+    });
+};
+
+/**
+ * Adds a model, plain object or an array of either to the end of the
+ * collection.  Models that are already in the collection are ignored
+ */
+Collection.prototype.add = function(models) {
+    var self = this,
+        added = [];
+
+    [].concat(models).forEach(function(item) {
+        var model = self._prepareModel(item);
+        if (self.indexOf(model) !== -1 ||
+            (model.id != null && self.get(model.id))) {
+            return;
+        }
+
+        self.models.push(model);
+        added.push(model);
+    });
+    this.length = this.models.length;
+
+    added.forEach(function(model) {
+        self.emit('add', model, self);
+    });
+    return Array.isArray(models) ? added : added[0];
+};
+
+/**
+ * Removes a model from the collection, you can pass either the model
+ * instance or the id of the model.  Returns the removed model
+ */
+Collection.prototype.remove = function(modelOrId) {
+    var index = this.indexOf(modelOrId);
+    if (index === -1 && modelOrId != null) {
+        index = this.indexOf(this.get(modelOrId));
+    }
+    if (index === -1) {
+        return undefined;
+    }
+
+    var model = this.models.splice(index, 1)[0];
+    this.length = this.models.length;
+    this.emit('remove', model, this);
+    return model;
+};
+
+/**
+ * Replaces all of the models in the collection
+ */
+Collection.prototype.reset = function(models) {
+    this.models = [];
+    this.length = 0;
+    if (models) {
+        // add emits its own events, we only want a single reset event
+        var self = this;
+        [].concat(models).forEach(function(item) {
+            self.models.push(self._prepareModel(item));
+        });
+        this.length = this.models.length;
+    }
+    this.emit('reset', this);
+};
+
+/**
+ * Returns the model with the specified id, or undefined if there is no
+ * model in the collection with that id
+ */
+Collection.prototype.get = function(id) {
+    if (id == null) {
+        return undefined;
+    }
+    return this.find(function(model) {
+        return model.id === id;
+    });
+};
+
+Collection.prototype.at = function(index) {
+    return this.models[index];
+};
+
+Collection.prototype.indexOf = function(model) {
+    return this.models.indexOf(model);
+};
+
+Collection.prototype.toArray = function() {
+    return this.models.slice();
+};
+
+// Iteration helpers, these all proxy through to the underlying array
+['forEach', 'map', 'filter', 'some', 'every', 'reduce'].forEach(function(name) {
+    Collection.prototype[name] = function() {
+        return Array.prototype[name].apply(this.models, arguments);
+    };
+});
+
+Collection.prototype.find = function(iterator, context) {
+    for (var i = 0; i < this.models.length; ++i) {
+        if (iterator.call(context, this.models[i], i, this.models)) {
+            return this.models[i];
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Returns an array containing the toJson() of each model, options are
+ * passed through to the model
+ */
+Collection.prototype.toJson = function(options) {
+    return this.models.map(function(model) {
+        return model.toJson(options);
+    });
+};
+
+/**
+ * Called by JSON.stringify
+ */
+Collection.prototype.toJSON = function() {
+    return this.toJson();
+};
+
+/**
+ * Makes sure the item is an instance of this.model, plain objects are
+ * passed through the model constructor
+ */
+Collection.prototype._prepareModel = function(item) {
+    if (isModel(item)) {
+        return item;
+    }
+    return new this.model(item);
+};
+
+/**
+ * Derived models copy the Model prototype rather than chaining to it, so
+ * instanceof Model does not work, check for the model methods instead
+ */
+function isModel(item) {
+    return item != null &&
+        typeof item.hasChanged === 'function' &&
+        typeof item.save === 'function';
+}
+
+Collection.derive = function(instanceProperties) {
+    return Utils.derive(this, instanceProperties);
+};
+
+module.exports = Collection;
@@ -0,0 +1,138 @@
+/**
+ * Computed attributes are read only values worked out from other fields,
+ * declared with the computed property when you derive a model e.g.
+ *
+ *   var Person = Model.derive({
+ *       computed: {
+ *           fullName: {
+ *               deps: ['firstName', 'lastName'],
+ *               get: function() {
+ *                   return this.firstName + ' ' + this.lastName;
+ *               },
+ *               json: true
+ *           }
+ *       }
+ *   });
+ *
+ * The value is cached until one of the deps is changed via set().  deps can
+ * name other computed attributes.  Computed attributes are never part of
+ * the model data, so they are not in changed() or sent to the data
+ * adapter, and they are only in toJson() if json is true.
+ */
+
+var Utils = require('./utils');
+
+function normalize(computed) {
+    var normalized = {};
+    Object.keys(computed).forEach(function(name) {
+        var definition = computed[name];
+        if (typeof definition === 'function') {
+            definition = { get: definition };
+        }
+        if (!definition || typeof definition.get !== 'function') {
+            throw new Error('computed attribute ' + name + ' must have a get function');
+        }
+        normalized[name] = Utils.extend({ deps: [] }, definition);
+    });
+    return normalized;
+}
+
+/**
+ * Adds the computed attributes and their getters to the prototype of a
+ * derived model
+ */
+exports.define = function(proto, inherited, computed) {
+    computed = normalize(computed);
+    proto.computed = Utils.extend({}, inherited, computed);
+
+    Object.keys(computed).forEach(function(name) {
+        proto.__defineGetter__(name, function() {
+            if (!this._computed.hasOwnProperty(name)) {
+                this._computed[name] = this.computed[name].get.call(this);
+            }
+            return this._computed[name];
+        });
+    });
+};
+
+/**
+ * Returns the names of the computed attributes that depend on field, either
+ * directly or through other computed attributes, in the order they should
+ * be recomputed
+ */
+function dependents(model, field) {
+    var result = [];
+
+    (function visit(name) {
+        Object.keys(model.computed).forEach(function(computedName) {
+            if (model.computed[computedName].deps.indexOf(name) !== -1 &&
+                result.indexOf(computedName) === -1) {
+                result.push(computedName);
+                visit(computedName);
+            }
+        });
+    })(field);
+    return result;
+}
+
+function hasListeners(model, name) {
+    return model.listeners('change:' + name).length > 0 ||
+        model.listeners('change').length > 0;
+}
+
+/**
+ * Called by set() before field changes.  Returns the computed attributes
+ * that depend on it, along with their current values if anyone is
+ * listening for changes, to pass to changed()
+ */
+exports.changing = function(model, field) {
+    return dependents(model, field).map(function(name) {
+        var item = { name: name, listening: hasListeners(model, name) };
+        if (item.listening) {
+            item.previous = model[name];
+        }
+        return item;
+    });
+};
+
+/**
+ * Called by set() after the field has changed, clears the cached values and
+ * emits change events for the computed attributes whose value changed
+ */
+exports.changed = function(model, affected) {
+    affected.forEach(function(item) {
+        delete model._computed[item.name];
+    });
+
+    affected.forEach(function(item) {
+        if (!item.listening) {
+            return;
+        }
+
+        var value = model[item.name];
+        if (!Utils.isEqual(value, item.previous)) {
+            model.emit('change:' + item.name, model, value, item.previous);
+            model.emit('change', model, item.name, value, item.previous);
+        }
+    });
+};
+
+/**
+ * Adds the computed attributes declared with json: true to json, or all of
+ * them if options.computed is true
+ */
+exports.serialize = function(model, json, options) {
+    Object.keys(model.computed).forEach(function(name) {
+        if (options.computed !== true && !model.computed[name].json) {
+            return;
+        }
+        if (options.only && options.only.indexOf(name) === -1) {
+            return;
+        }
+        if (options.except && options.except.indexOf(name) !== -1) {
+            return;
+        }
+        json[name] = model[name];
+    });
+    return json;
+};
@@ -0,0 +1,56 @@
+var Utils = require('../utils');
+
+/**
+ * An in-memory event store for the eventSourced data adapter, useful for
+ * tests and prototyping.  Each call creates a new, empty store.  A stream
+ * is the list of events for one model, an event store has:
+ *   append(stream, event, callback(error, version)): adds the event to the
+ *     end of the stream, the first event in a stream is version 1
+ *   events(stream, callback(error, events)): all of the events in the
+ *     stream, oldest first
+ * and optionally, for snapshots:
+ *   saveSnapshot(stream, snapshot, callback)
+ *   snapshots(stream, callback(error, snapshots)): the snapshots for the
+ *     stream, oldest first
+ */
+module.exports = function() {
+    var streams = {},
+        snapshots = {};
+
+    function reply(callback, error, value) {
+        process.nextTick(function() {
+            callback(error, value);
+        });
+    }
+
+    return {
+        append: function(stream, event, callback) {
+            var events = streams[stream] = streams[stream] || [];
+            event = Utils.clone(event);
+            event.version = events.length + 1;
+            events.push(event);
+            reply(callback, null, event.version);
+        },
+
+        events: function(stream, callback) {
+            reply(callback, null, (streams[stream] || []).map(Utils.clone));
+        },
+
+        saveSnapshot: function(stream, snapshot, callback) {
+            (snapshots[stream] = snapshots[stream] || []).push(Utils.clone(snapshot));
+            reply(callback);
+        },
+
+        snapshots: function(stream, callback) {
+            reply(callback, null, (snapshots[stream] || []).map(Utils.clone));
+        },
+
+        /**
+         * Removes all of the events and snapshots
+         */
+        reset: function() {
+            streams = {};
+            snapshots = {};
+        }
+    };
+};
@@ -0,0 +1,148 @@
+/**
+ * An identity map makes sure there is only ever one instance of a model
+ * type with a given id, so code working with the same data always sees the
+ * same state e.g.
+ *
+ *   var scope = Model.beginScope();
+ *   scope.instance(Person, { id: 5 }) === scope.instance(Person, { id: 5 })    // true
+ *   Person.findById(5, { scope: scope }, callback);    // the same instance
+ *   Model.endScope(scope);
+ *
+ * It is opt-in and the scope is always passed explicitly, there is no
+ * global current scope, so overlapping requests that each begin their own
+ * scope never see each other's models.  Models are added by instance(),
+ * add(), the finders and Collection.fetch() when passed { scope }, and a
+ * model created by save() is added to the scope it was saved with.  A
+ * model remembers the scope it was added to, so it is removed from it when
+ * it is destroyed.
+ */
+
+function Scope() {
+    // Each entry is { type, models } where models is keyed by id
+    this._types = [];
+}
+
+function modelsFor(scope, Type, create) {
+    for (var i = 0; i < scope._types.length; ++i) {
+        if (scope._types[i].type === Type) {
+            return scope._types[i].models;
+        }
+    }
+    if (!create) {
+        return null;
+    }
+
+    var entry = { type: Type, models: {} };
+    scope._types.push(entry);
+    return entry.models;
+}
+
+/**
+ * Returns the instance of Type with the id, or null if it isn't in the scope
+ */
+Scope.prototype.get = function(Type, id) {
+    var models = modelsFor(this, Type, false);
+    if (!models || id == null || !models.hasOwnProperty(String(id))) {
+        return null;
+    }
+    return models[String(id)];
+};
+
+/**
+ * Adds the model to the scope, keyed by its type and id.  An instance that
+ * is already in the scope is never replaced
+ */
+Scope.prototype.add = function(model) {
+    if (model.id == null) {
+        return model;
+    }
+
+    if (this.ended) {
+        return model;
+    }
+
+    var models = modelsFor(this, model.constructor, true),
+        key = String(model.id);
+    if (!models.hasOwnProperty(key)) {
+        models[key] = model;
+        model._scope = this;
+    }
+    return models[key];
+};
+
+/**
+ * Removes a model from the scope, either evict(model) or evict(Type, id).
+ * The next instance() or finder with the scope for that id creates a new
+ * instance
+ */
+Scope.prototype.evict = function(Type, id) {
+    if (typeof Type !== 'function') {
+        id = Type.id;
+        Type = Type.constructor;
+    }
+
+    var models = modelsFor(this, Type, false),
+        key = String(id);
+    if (models && id != null && models.hasOwnProperty(key)) {
+        delete models[key]._scope;
+        delete models[key];
+    }
+};
+
+/**
+ * Forgets every model in the scope
+ */
+Scope.prototype.clear = function() {
+    this._types.forEach(function(entry) {
+        Object.keys(entry.models).forEach(function(key) {
+            delete entry.models[key]._scope;
+        });
+    });
+    this._types = [];
+};
+
+/**
+ * Returns the instance of Type with properties.id if it is in the scope,
+ * otherwise constructs one with the properties and adds it.  An instance
+ * that is already in the scope is returned as it is, the properties are
+ * not applied to it so any unsaved changes are kept
+ */
+Scope.prototype.instance = function(Type, properties) {
+    var existing = this.get(Type, properties && properties.id);
+    return existing || this.add(new Type(properties));
+};
+
+/**
+ * Ends the scope, it forgets every model and nothing can be added to it
+ */
+Scope.prototype.end = function() {
+    this.clear();
+    this.ended = true;
+};
+
+exports.Scope = Scope;
+
+/**
+ * The scope the model was added to, or null
+ */
+exports.scopeOf = function(model) {
+    return model._scope || null;
+};
+
+/**
+ * Adds the model to scope, or to the scope it already belongs to
+ */
+exports.track = function(model, scope) {
+    scope = scope || exports.scopeOf(model);
+    return scope ? scope.add(model) : model;
+};
+
+/**
+ * Removes the model from the scope it belongs to, if it has one
+ */
+exports.evict = function(model) {
+    var scope = exports.scopeOf(model);
+    if (scope) {
+        scope.evict(model);
+    }
+};
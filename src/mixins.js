@@ -0,0 +1,226 @@
+/**
+ * Mixins are reusable pieces of model behaviour, applied when you derive a
+ * model e.g.
+ *
+ *   var Timestamps = {
+ *       attributes: { updatedAt: { type: 'date' } },
+ *       beforeSave: function(options, callback) {
+ *           this.updatedAt = new Date();
+ *           callback();
+ *       }
+ *   };
+ *
+ *   var Person = Model.derive({ mixins: [Timestamps], ... });
+ *
+ * A mixin is an object with the same properties you pass to derive, plus:
+ *   mixins: other mixins this one needs, they are applied first
+ *   wrapData: function(data) returning a data adapter that wraps data
+ *
+ * Mixins are applied in order, then the properties passed to derive.  Most
+ * properties are simply copied, with the model winning, but these combine:
+ *   defaults, attributes, relations and computed are merged, with the
+ *     model's parents first and the model last
+ *   validate functions all run, the model's validate first, and their
+ *     errors are concatenated
+ *   init and the lifecycle hooks all run, the mixins first in order and
+ *     then the model's own.  A model that overrides a hook replaces the hook
+ *     it inherited but the mixin hooks still run
+ *   wrapData functions wrap the data adapter, each wrapping the last
+ * A mixin is only applied once, even if it is listed again by a derived
+ * model or by another mixin.  Since a derived model composes the inherited
+ * mixin functions itself, super_ gives it the functions its parent defines
+ * without the mixins composed in, so calling them through super_ doesn't
+ * run the mixins twice.
+ */
+
+var Utils = require('./utils'),
+    Validators = require('./validators');
+
+var MERGED = ['attributes', 'relations', 'computed'],
+    SPECIAL = ['mixins', 'wrapData', 'validate', 'init'];
+
+/**
+ * Returns the mixins with the mixins they depend on in front of them, and
+ * without any that appear in exclude
+ */
+function flatten(mixins, exclude) {
+    var result = [];
+
+    (function add(list) {
+        [].concat(list || []).forEach(function(mixin) {
+            if (!mixin || exclude.indexOf(mixin) !== -1 || result.indexOf(mixin) !== -1) {
+                return;
+            }
+            add(mixin.mixins);
+            result.push(mixin);
+        });
+    })(mixins);
+    return result;
+}
+
+/**
+ * Attribute definitions for the same name are merged too, so a mixin can
+ * add rules to an attribute the model declares
+ */
+function mergeDefinitions(target, source) {
+    Object.keys(source || {}).forEach(function(name) {
+        target[name] = Utils.isPlainObject(target[name]) && Utils.isPlainObject(source[name]) ?
+            Utils.extend({}, target[name], source[name]) :
+            source[name];
+    });
+    return target;
+}
+
+/**
+ * Works out the properties to derive the model with, i.e. the properties
+ * from the mixins combined with the ones passed to derive.  Returns
+ * { properties, mixins, added } where mixins is every mixin the model has,
+ * including inherited ones, and added is the ones new to this model
+ */
+exports.resolve = function(base, instanceProperties, hookNames) {
+    var inherited = base.prototype.mixins || [],
+        added = flatten(instanceProperties.mixins, inherited),
+        properties = {};
+
+    if (added.length === 0) {
+        properties = Utils.extend({}, instanceProperties);
+        delete properties.mixins;
+        return { properties: properties, mixins: inherited, added: added };
+    }
+
+    added.forEach(function(mixin) {
+        Object.keys(mixin).forEach(function(key) {
+            if (SPECIAL.indexOf(key) !== -1 || hookNames.indexOf(key) !== -1 ||
+                MERGED.indexOf(key) !== -1 || key === 'defaults') {
+                return;
+            }
+            properties[key] = mixin[key];
+        });
+    });
+
+    // The model's own properties, including getters and setters, win
+    Utils.extend(properties, instanceProperties);
+
+    MERGED.concat(['defaults']).forEach(function(key) {
+        var merged = {};
+        added.concat([instanceProperties]).forEach(function(source) {
+            mergeDefinitions(merged, source[key]);
+        });
+        if (Object.keys(merged).length > 0) {
+            properties[key] = merged;
+        }
+    });
+
+    delete properties.mixins;
+    return { properties: properties, mixins: inherited.concat(added), added: added };
+};
+
+/**
+ * Composes the hooks, init, validate and data adapter of a derived model
+ * from its mixins, see the comment at the top of the file
+ */
+exports.compose = function(derived, base, instanceProperties, resolved, hookNames) {
+    var proto = derived.prototype,
+        mixins = resolved.mixins;
+
+    proto.mixins = mixins;
+    if (mixins.length === 0) {
+        return;
+    }
+
+    var parent = Object.create(base.prototype);
+    hookNames.concat(['init', 'validate']).forEach(function(name) {
+        if (base.prototype[name] && base.prototype[name].own) {
+            parent[name] = base.prototype[name].own;
+        }
+    });
+    derived.super_ = parent;
+
+    hookNames.concat(['init']).forEach(function(name) {
+        var own = ownFunction(base, instanceProperties, name),
+            functions = mixins.filter(function(mixin) {
+                return typeof mixin[name] === 'function';
+            }).map(function(mixin) {
+                return mixin[name];
+            });
+
+        if (functions.length === 0) {
+            proto[name] = own;
+            return;
+        }
+
+        proto[name] = name === 'init' ?
+            composeInit(functions.concat([own])) :
+            composeHook(functions.concat([own]));
+        proto[name].own = own;
+    });
+
+    var validators = mixins.filter(function(mixin) {
+        return typeof mixin.validate === 'function';
+    }).map(function(mixin) {
+        return mixin.validate;
+    });
+    if (validators.length > 0) {
+        var ownValidate = ownFunction(base, instanceProperties, 'validate');
+        proto.validate = composeValidate([ownValidate].concat(validators));
+        proto.validate.own = ownValidate;
+    }
+
+    // A model with its own data adapter gets every wrapper, otherwise the
+    // inherited adapter has already been wrapped by the inherited mixins
+    var hasOwnData = instanceProperties.hasOwnProperty('data');
+    (hasOwnData ? mixins : resolved.added).forEach(function(mixin) {
+        if (typeof mixin.wrapData === 'function') {
+            proto.data = mixin.wrapData(proto.data);
+        }
+    });
+};
+
+/**
+ * The function the model itself defines, or the one it inherits without
+ * any mixin functions composed in to it
+ */
+function ownFunction(base, instanceProperties, name) {
+    if (instanceProperties.hasOwnProperty(name)) {
+        return instanceProperties[name];
+    }
+    var inherited = base.prototype[name];
+    return inherited.own || inherited;
+}
+
+function composeHook(hooks) {
+    return function(options, callback) {
+        var self = this;
+        Utils.series(hooks.map(function(hook) {
+            return function(next) {
+                Utils.invoke(hook, self, [options], function(error) {
+                    next(error);
+                });
+            };
+        }), function(error) {
+            callback(error);
+        });
+    };
+}
+
+function composeInit(inits) {
+    return function() {
+        var self = this,
+            args = arguments;
+        inits.forEach(function(init) {
+            init.apply(self, args);
+        });
+    };
+}
+
+function composeValidate(validators) {
+    return function(callback) {
+        if (!callback) {
+            var self = this;
+            return new Promise(function(resolve) {
+                self.validate(resolve);
+            });
+        }
+        Validators.runAll(this, validators, callback);
+    };
+}
@@ -0,0 +1,121 @@
+var Utils = require('../utils');
+
+/**
+ * A mixin that records every successful save() and destroy() to an audit
+ * sink e.g.
+ *
+ *   var Person = Model.derive({
+ *       mixins: [mixins.audit({ type: 'Person', sink: auditSinks.memory() })]
+ *   });
+ *
+ *   p.save({ actor: 'frank' }, callback);
+ *   p.history(function(error, entries) { ... });
+ *
+ * Each entry looks like:
+ *
+ *   {
+ *       type: 'Person',
+ *       id: 5,
+ *       operation: 'update',
+ *       changes: { name: { from: 'bob', to: 'pete' } },
+ *       at: Date,
+ *       actor: 'frank'
+ *   }
+ *
+ * For a create the changes are every field, for a destroy they are empty,
+ * an update that didn't change anything isn't recorded.  A sink has
+ * append(entry, callback) and history({ type, id }, callback(error, entries)).
+ * If the sink fails the error is passed to the caller, but the model has
+ * been saved or destroyed.
+ * Options:
+ *   type: name of the model type, required
+ *   sink: where the entries are written, required
+ *   actor: function(options) returning the actor, defaults to options.actor
+ *   now: function returning the current time, defaults to new Date()
+ */
+module.exports = function(options) {
+    options = options || {};
+    if (!options.type || !options.sink) {
+        throw new Error('the audit mixin requires type and sink options');
+    }
+
+    var sink = options.sink,
+        actor = options.actor || function(saveOptions) {
+            return saveOptions.actor;
+        },
+        now = options.now || function() {
+            return new Date();
+        };
+
+    /**
+     * Nested changes are reported by path e.g. address.city
+     */
+    function previousValue(model, path) {
+        var value = model.previousAttributes();
+        path.split('.').forEach(function(name) {
+            value = value != null ? value[name] : undefined;
+        });
+        return value;
+    }
+
+    function changes(model, operation) {
+        var result = {};
+        if (operation === 'create') {
+            var data = model.toData();
+            Object.keys(data).forEach(function(field) {
+                result[field] = { from: null, to: data[field] };
+            });
+        }
+        else if (operation === 'update') {
+            var changed = model.changed();
+            Object.keys(changed).forEach(function(path) {
+                var from = previousValue(model, path);
+                result[path] = { from: from === undefined ? null : from, to: changed[path] };
+            });
+        }
+        return result;
+    }
+
+    function record(model, operation, saveOptions, callback) {
+        var entry = {
+            type: options.type,
+            id: model.id,
+            operation: operation,
+            changes: changes(model, operation),
+            at: now(),
+            actor: actor(saveOptions || {})
+        };
+
+        if (operation === 'update' && Object.keys(entry.changes).length === 0) {
+            return callback();
+        }
+        Utils.invoke(sink.append, sink, [entry], function(error) {
+            callback(error);
+        });
+    }
+
+    return {
+        afterCreate: function(saveOptions, callback) {
+            record(this, 'create', saveOptions, callback);
+        },
+
+        afterUpdate: function(saveOptions, callback) {
+            record(this, 'update', saveOptions, callback);
+        },
+
+        afterDestroy: function(destroyOptions, callback) {
+            record(this, 'destroy', destroyOptions, callback);
+        },
+
+        /**
+         * Calls back with the audit entries for this model, oldest first.
+         * If no callback is passed a promise is returned
+         */
+        history: function(callback) {
+            var self = this;
+            return Utils.promiseOrCallback(callback, function(done) {
+                Utils.invoke(sink.history, sink, [{ type: options.type, id: self.id }], done);
+            });
+        }
+    };
+};
@@ -0,0 +1,194 @@
+var Model = require('../model'),
+    Utils = require('../utils'),
+    Versions = require('../versions');
+
+/**
+ * A mixin that keeps destroyed models in the backing store, destroy() sets
+ * a deletedAt field and writes it with data.update instead e.g.
+ *
+ *   var Person = Model.derive({
+ *       mixins: [mixins.softDelete()],
+ *       data: adapters.memory()
+ *   });
+ *
+ *   p.destroy(callback)                     // sets deletedAt
+ *   p.isDeleted()                           // true
+ *   p.restore(callback)                     // clears deletedAt
+ *   p.destroy({ force: true }, callback)    // calls data.destroy
+ *
+ * destroy() only writes the deleted field, any other unsaved changes are
+ * left unsaved on the model, and it doesn't validate the model or run the
+ * save hooks.  The finders, and fetch(), leave out soft deleted models
+ * unless you pass withDeleted: true in the options.
+ * Options:
+ *   field: name of the field, defaults to deletedAt
+ *   now: function returning the current time, defaults to new Date()
+ */
+module.exports = function(options) {
+    options = options || {};
+
+    var field = options.field || 'deletedAt',
+        now = options.now || function() {
+            return new Date();
+        },
+        attributes = {};
+
+    attributes[field] = { type: 'date' };
+
+    function runHook(model, name, options, callback) {
+        Utils.invoke(model[name], model, [options], function(error) {
+            callback(error);
+        });
+    }
+
+    /**
+     * Reverts the unsaved changes so they aren't written along with the
+     * deleted field, returns them for unstash()
+     */
+    function stash(model) {
+        var data = model.toData(),
+            edits = {};
+        Object.keys(model.changed()).forEach(function(path) {
+            var name = path.split('.')[0];
+            if (data.hasOwnProperty(name)) {
+                edits[name] = Utils.clone(data[name]);
+            }
+        });
+        model.revert();
+        return edits;
+    }
+
+    function unstash(model, edits) {
+        Object.keys(edits).forEach(function(name) {
+            model.set(name, edits[name]);
+        });
+    }
+
+    function notFound(id) {
+        return { notFound: true, message: 'no item with id ' + id };
+    }
+
+    /**
+     * Unless options.withDeleted is set, queries only match models that
+     * haven't been deleted, and fetching a deleted model fails as not found
+     */
+    function wrapData(data) {
+        var wrapped = Object.create(data);
+
+        function excludeDeleted(query, options) {
+            if (options.withDeleted || (query.where && query.where.hasOwnProperty(field))) {
+                return query;
+            }
+            var where = Utils.extend({}, query.where);
+            where[field] = null;
+            return Utils.extend({}, query, { where: where });
+        }
+
+        if (data.query) {
+            wrapped.query = function(query, options, callback) {
+                return data.query(excludeDeleted(query, options), options, callback);
+            };
+        }
+        if (data.count) {
+            wrapped.count = function(query, options, callback) {
+                return data.count(excludeDeleted(query, options), options, callback);
+            };
+        }
+        wrapped.fetch = function(model, options, callback) {
+            // The result can say how old the data is, see Model.fetch
+            Utils.invoke(data.fetch, data, [model, options], function(error, result) {
+                if (!error && !options.withDeleted && model[field] != null) {
+                    error = notFound(model.id);
+                }
+                callback(error, error ? undefined : result);
+            });
+        };
+        return wrapped;
+    }
+
+    return {
+        attributes: attributes,
+        wrapData: wrapData,
+
+        isDeleted: function() {
+            return this[field] != null;
+        },
+
+        /**
+         * Sets the deleted field and writes just that field, running the
+         * destroy hooks and emitting destroy.  Pass force: true to really
+         * destroy the model.  If no callback is passed a promise is returned
+         */
+        destroy: function(destroyOptions, callback) {
+            if (typeof destroyOptions === 'function') {
+                callback = destroyOptions;
+                destroyOptions = {};
+            }
+            destroyOptions = destroyOptions || {};
+
+            // There is nothing to keep for a model that was never saved
+            if (destroyOptions.force || this.isNew()) {
+                return Model.prototype.destroy.call(this, destroyOptions, callback);
+            }
+
+            var self = this,
+                previous = this[field];
+            return Utils.promiseOrCallback(callback, function(done) {
+                Utils.series([
+                    function(next) {
+                        runHook(self, 'beforeDestroy', destroyOptions, next);
+                    },
+                    function(next) {
+                        var edits = stash(self);
+                        self.set(field, now());
+
+                        var version = Versions.prepare(self, 'update', destroyOptions);
+                        Utils.invoke(self.data.update, self.data, [self, version.options], function(error) {
+                            if (error) {
+                                version.rollback();
+                                self.set(field, previous);
+                            }
+                            else {
+                                self._clearDirty();
+                                self.emit('destroy', self, destroyOptions);
+                            }
+                            unstash(self, edits);
+                            next(error);
+                        });
+                    },
+                    function(next) {
+                        runHook(self, 'afterDestroy', destroyOptions, next);
+                    }
+                ], done);
+            });
+        },
+
+        /**
+         * Clears the deleted field and saves the model.  If no callback is
+         * passed a promise is returned
+         */
+        restore: function(restoreOptions, callback) {
+            if (typeof restoreOptions === 'function') {
+                callback = restoreOptions;
+                restoreOptions = {};
+            }
+            restoreOptions = restoreOptions || {};
+
+            var self = this,
+                previous = this[field];
+            return Utils.promiseOrCallback(callback, function(done) {
+                if (previous == null) {
+                    return process.nextTick(done);
+                }
+
+                self.set(field, null);
+                self.save(restoreOptions, function(error) {
+                    if (error) {
+                        self.set(field, previous);
+                    }
+                    done(error);
+                });
+            });
+        }
+    };
+};
@@ -0,0 +1,51 @@
+/**
+ * A mixin that has save() set createdAt when a model is created and
+ * updatedAt when a model that has changed is updated e.g.
+ *
+ *   var Person = Model.derive({
+ *       mixins: [mixins.timestamps()],
+ *       data: adapters.memory()
+ *   });
+ *
+ * The fields are set via set(), so they are in changed() and saved along
+ * with the rest of the model.
+ * Options:
+ *   createdAt: name of the created field, defaults to createdAt, false to
+ *              leave it out
+ *   updatedAt: name of the updated field, defaults to updatedAt, false to
+ *              leave it out
+ *   now: function returning the current time, defaults to new Date()
+ */
+module.exports = function(options) {
+    options = options || {};
+
+    var createdAt = options.createdAt === undefined ? 'createdAt' : options.createdAt,
+        updatedAt = options.updatedAt === undefined ? 'updatedAt' : options.updatedAt,
+        now = options.now || function() {
+            return new Date();
+        },
+        attributes = {};
+
+    [createdAt, updatedAt].filter(Boolean).forEach(function(field) {
+        attributes[field] = { type: 'date' };
+    });
+
+    return {
+        attributes: attributes,
+
+        beforeCreate: function(options, callback) {
+            if (createdAt) {
+                this.set(createdAt, now());
+            }
+            callback();
+        },
+
+        beforeUpdate: function(options, callback) {
+            // Saving a model that hasn't changed doesn't write anything
+            if (updatedAt && this.hasChanged()) {
+                this.set(updatedAt, now());
+            }
+            callback();
+        }
+    };
+};
@@ -1,6 +1,14 @@
 var events = require('events'),
     util = require('util'),
-    Utils = require('./utils');
+    Computed = require('./computed'),
+    IdentityMap = require('./identity-map'),
+    Mixins = require('./mixins'),
+    Query = require('./query'),
+    Relations = require('./relations'),
+    Types = require('./types'),
+    Utils = require('./utils'),
+    Validators = require('./validators'),
+    Versions = require('./versions');
 
 /**
  * The building block of any model.  Models provide a way to have a 
@@ -10,13 +18,23 @@ function Model(properties, callback) {
 
     properties = properties || {};
 
+    // Relations that have been loaded, see relations.js
+    this._related = {};
+
+    // Cached values of computed attributes, see computed.js
+    this._computed = {};
+
+    // Values set() could not cast to the type of their attribute, keyed by
+    // attribute name, these are reported by validate()
+    this._castErrors = {};
     this._clearDirty();
     var key;
 
     // Set defaults if specified
     for (key in this.defaults) {
         if (this.defaults.hasOwnProperty(key)) {
-            this.set(key, this.defaults[key]);
+            // Copy object/array defaults so instances don't share them
+            this.set(key, Utils.clone(this.defaults[key]));
         }
     }
 
@@ -39,6 +57,24 @@ function Model(properties, callback) {
 }
 var EMPTY_DIRTY = {};
 
+/**
+ * Fields the framework stores on a model instance, these are never
+ * considered part of the model data
+ */
+var INTERNAL_FIELDS = {
+    _castErrors: true,
+    _computed: true,
+    _dirtyFields: true,
+    _events: true,
+    _eventsCount: true,
+    _maxListeners: true,
+    _previousAttributes: true,
+    _related: true,
+    _scope: true,
+    domain: true,
+    refreshedAt: true
+};
+
 /**
  * Add basic event semantics to a model
  */
@@ -68,95 +104,233 @@ Model.prototype.data = {
         process.nextTick(function() {
             callback({ notImplemented: true });
         });
+    },
+
+    // Used by the static finders e.g. Model.find, calls back with an array
+    // of plain objects, see query.js for the format of the query. You can
+    // also provide count(query, options, callback), otherwise count() is
+    // done by calling query and counting the results
+    query: function(query, options, callback) {
+        process.nextTick(function() {
+            callback({ notImplemented: true });
+        });
     }
 };
 
+/**
+ * Removes the model from the backing store via data.destroy. If no callback
+ * is passed a promise is returned
+ */
 Model.prototype.destroy = function(options, callback) {
     if (typeof options === 'function') {
         callback = options;
         options = {};
     }
+    options = options || {};
 
     var self = this;
-    this.data.destroy(this, options, function(error) {
-        callback && callback(error);
+    return Utils.promiseOrCallback(callback, function(done) {
+        Utils.series([
+            function(next) {
+                runHook(self, 'beforeDestroy', options, next);
+            },
+            function(next) {
+                Utils.invoke(self.data.destroy, self.data, [self, options], function(error) {
+                    if (error) {
+                        emitError(self, error);
+                    }
+                    else {
+                        IdentityMap.evict(self);
+                        self.emit('destroy', self, options);
+                    }
+                    next(error);
+                });
+            },
+            function(next) {
+                runHook(self, 'afterDestroy', options, next);
+            }
+        ], done);
     });
 };
 
+/**
+ * Loads the model from the backing store via data.fetch. If no callback
+ * is passed a promise is returned
+ */
 Model.prototype.fetch = function(options, callback) {
     if (typeof options === 'function') {
         callback = options;
         options = {};
     }
+    options = options || {};
 
     var self = this;
-    this.data.fetch(this, options, function(error) {
-        if (!error) {
-            // Callers can look for the presence of this value to see if
-            // the model has ever been fetched from the database
-            self.refreshedAt = new Date();
-            self._clearDirty();
-        }
-
-        callback && callback(error);
+    return Utils.promiseOrCallback(callback, function(done) {
+        Utils.series([
+            function(next) {
+                Utils.invoke(self.data.fetch, self.data, [self, options], function(error, result) {
+                    if (!error) {
+                        // Callers can look for the presence of this value to see if
+                        // the model has ever been fetched from the database.  An
+                        // adapter that returns older data, e.g. from a cache, can
+                        // call back with { refreshedAt } to say how old it is
+                        self.refreshedAt = result && result.refreshedAt ? result.refreshedAt : new Date();
+                        self._clearDirty();
+                    }
+                    else {
+                        emitError(self, error);
+                    }
+                    next(error);
+                });
+            },
+            function(next) {
+                // Eager load relations e.g. fetch({ include: ['company'] })
+                if (!options.include) {
+                    return next();
+                }
+                Relations.include(self, options.include, next);
+            },
+            function(next) {
+                runHook(self, 'afterFetch', options, next);
+            },
+            function(next) {
+                self.emit('fetch', self, options);
+                next();
+            }
+        ], done);
     });
 };
 
+/**
+ * Validates the model then calls data.create for new models or data.update
+ * for existing models.  Pass validated: true if the caller has already run
+ * beforeValidate and validate, e.g. UnitOfWork, so they aren't run again.
+ * If no callback is passed a promise is returned
+ */
 Model.prototype.save = function(options, callback) {
     if (typeof options === 'function') {
         callback = options;
         options = {};
     }
-
-    var self = this;
-
-    this.validate(function(errors) {
-        if (errors.length > 0) {
-            process.nextTick(function() {
-                callback({ validationErrors: errors });
-            });
-            return;
-        }
-
-        if (self.id != null) {
-            self.data.update(self, options, function(error) {
-                if (!error) {
-                    self._clearDirty();
+    options = options || {};
+
+    var self = this,
+        operation;
+    return Utils.promiseOrCallback(callback, function(done) {
+        Utils.series([
+            function(next) {
+                if (options.validated) {
+                    return next();
                 }
-                callback && callback(error);
-            });
-        }
-        else {
-            self.data.create(self, options, function(error) {
-                if (!error && self.id == null) {
-                    error = {
-                        badImplementation: true,
-                        message: 'id property should have been set after create was called'
-                    };
+                runHook(self, 'beforeValidate', options, next);
+            },
+            function(next) {
+                if (options.validated) {
+                    return next();
                 }
-
-                if (!error) {
+                Validators.run(self, function(errors) {
+                    if (errors.length > 0) {
+                        self.emit('invalid', self, errors);
+                        process.nextTick(function() {
+                            next({ validationErrors: errors });
+                        });
+                        return;
+                    }
+                    next();
+                });
+            },
+            function(next) {
+                runHook(self, 'beforeSave', options, next);
+            },
+            function(next) {
+                // The before hooks might have changed the id, so only decide
+                // between create and update at this point
+                operation = self.isNew() ? 'create' : 'update';
+                runHook(self, HOOKS[operation].before, options, next);
+            },
+            function(next) {
+                var version = Versions.prepare(self, operation, options);
+                Utils.invoke(self.data[operation], self.data, [self, version.options], function(error) {
+                    if (error) {
+                        version.rollback();
+                    }
+                    if (!error && operation === 'create' && self.id == null) {
+                        error = {
+                            badImplementation: true,
+                            message: 'id property should have been set after create was called'
+                        };
+                    }
+                    if (error) {
+                        emitError(self, error);
+                    }
+                    else if (operation === 'create') {
+                        IdentityMap.track(self, options.scope);
+                    }
+                    next(error);
+                });
+            },
+            function(next) {
+                // The after hooks run before the changed fields are cleared, so
+                // they can still see what was saved.  The model has been saved
+                // at this point even if the hook fails
+                runHook(self, HOOKS[operation].after, options, function(error) {
                     self._clearDirty();
-                }
-                callback && callback(error);
-            });
-        }
+                    self.emit(operation, self, options);
+                    self.emit('save', self, options);
+                    next(error);
+                });
+            }
+        ], done);
     });
 };
 
+var HOOKS = {
+    create: { before: 'beforeCreate', after: 'afterCreate' },
+    update: { before: 'beforeUpdate', after: 'afterUpdate' }
+};
+
+/**
+ * Hooks are called with the options passed to save/fetch/destroy, they can
+ * call back with an error, or return a promise that rejects, to abort the
+ * operation
+ */
+function runHook(model, name, options, callback) {
+    Utils.invoke(model[name], model, [options], function(error) {
+        callback(error);
+    });
+}
+
+/**
+ * EventEmitter throws if an error event has no listeners, errors are always
+ * passed to the callers callback so only raise the event if someone is
+ * listening for it
+ */
+function emitError(model, error) {
+    if (model.listeners('error').length > 0) {
+        model.emit('error', model, error);
+    }
+}
+
 Model.prototype.isNew = function() {
     return this.id == null;
 };
 
 Model.prototype.hasChanged = function() {
-    return this._dirtyFields !== EMPTY_DIRTY;
+    return this._dirtyFields !== EMPTY_DIRTY ||
+        Object.keys(nestedChanges(this)).length > 0;
 };
 
+/**
+ * Returns the fields that have changed since the model was last fetched or
+ * saved.  As well as fields updated via set(), object and array fields that
+ * have been modified in place are included, changes inside plain objects are
+ * reported by path e.g. { 'address.city': 'Seattle' }
+ */
 Model.prototype.changed = function() {
     if (!this.hasChanged()) {
         return {};
     }
-    return this._dirtyFields;
+    return Utils.extend(nestedChanges(this), this._dirtyFields);
 };
 
 Model.prototype.set = function(propertyName, value) {
@@ -179,13 +353,39 @@ Model.prototype.set = function(propertyName, value) {
         return;
     }
     
-    if (this[propertyName] === value) {
+    // Declared attributes are stored in a backing field prefixed with _,
+    // the generated getter/setter for the attribute reads/writes that field
+    if (this.attributes.hasOwnProperty(propertyName)) {
+        propertyName = '_' + propertyName;
+    }
+
+    // Values are cast to the type of their attribute, a value that can't be
+    // cast is stored as it is and fails validation, see types.js
+    var attributeName = propertyName.substr(1);
+    if (propertyName[0] === '_' && this.attributes.hasOwnProperty(attributeName)) {
+        var cast = Types.cast(attributeName, this.attributes[attributeName] || {}, value);
+        value = cast.value;
+        if (cast.error) {
+            this._castErrors[attributeName] = cast.error;
+        }
+        else {
+            delete this._castErrors[attributeName];
+        }
+    }
+
+    // Computed attributes are read only, e.g. they might be in the result
+    // of toJson() passed back to the constructor
+    if (this.computed.hasOwnProperty(propertyName)) {
+        return;
+    }
+
+    if (Utils.isEqual(this[propertyName], value)) {
         return;
     }
 
     // Check if this is the first dirty property, since this is how we 
     // tell if there are any dirty fields or not
-    if (!this.hasChanged()) {
+    if (this._dirtyFields === EMPTY_DIRTY) {
         this._dirtyFields = {};
     }
     
@@ -194,53 +394,516 @@ Model.prototype.set = function(propertyName, value) {
         dirtyName = propertyName.substr(1);
     }    
     this._dirtyFields[dirtyName] = value;
+
+    // Setting a field back to the value it had when the model was last
+    // fetched/saved means it is no longer changed
+    if (Utils.isEqual(value, this._previousAttributes[dirtyName])) {
+        delete this._dirtyFields[dirtyName];
+        if (Object.keys(this._dirtyFields).length === 0) {
+            this._dirtyFields = EMPTY_DIRTY;
+        }
+    }
     
+    var previous = this[propertyName],
+        computed = Computed.changing(this, dirtyName);
     this[propertyName] = value;
+
+    this.emit('change:' + dirtyName, this, value, previous);
+    this.emit('change', this, dirtyName, value, previous);
+    Computed.changed(this, computed);
+};
+
+/**
+ * Set this to the name of a field to turn on optimistic locking, the field
+ * holds the version of the model which is checked and incremented on each
+ * update. If someone else saved the model since it was fetched, save()
+ * fails with { conflict: true, current: ... } and the changed fields are
+ * kept so you can merge and retry
+ */
+Model.prototype.versionField = null;
+
+/**
+ * The attributes declared on the model, see Model.derive
+ */
+Model.prototype.attributes = {};
+
+/**
+ * The relations declared on the model, see relations.js
+ */
+Model.prototype.relations = {};
+
+/**
+ * The computed attributes declared on the model, see computed.js
+ */
+Model.prototype.computed = {};
+
+/**
+ * The mixins applied to the model, including inherited ones, see mixins.js
+ */
+Model.prototype.mixins = [];
+
+/**
+ * Returns a relation that has been loaded via get<Relation>() or
+ * fetch({ include: [...] }), or undefined if it hasn't been loaded
+ */
+Model.prototype.related = function(name) {
+    return Relations.loaded(this, name);
 };
 
+/**
+ * Returns the value the field had when the model was created with an id,
+ * or was last fetched/saved
+ */
+Model.prototype.previous = function(field) {
+    return this._previousAttributes[field];
+};
+
+/**
+ * Returns all of the field values as they were when the model was created
+ * with an id, or was last fetched/saved
+ */
+Model.prototype.previousAttributes = function() {
+    return Utils.extend({}, this._previousAttributes);
+};
+
+/**
+ * Restores changed fields to their previous values.  If field is specified
+ * only that field is reverted, otherwise all of the changed fields are
+ */
+Model.prototype.revert = function(field) {
+    var fields = field != null ? [field] : Object.keys(this.changed()),
+        self = this;
+
+    // Nested changes are reported by path, revert the whole field
+    fields = fields.map(function(name) {
+        return name.split('.')[0];
+    });
+
+    fields.forEach(function(name) {
+        var changed = Object.keys(self.changed()).some(function(path) {
+            return path.split('.')[0] === name;
+        });
+        if (!changed) {
+            return;
+        }
+
+        // Use the backing field if there is one, the same as set() does
+        var propertyName = self.hasOwnProperty('_' + name) ? '_' + name : name;
+        self.set(propertyName, Utils.clone(self._previousAttributes[name]));
+
+        // Fields that didn't exist before are removed completely
+        if (!self._previousAttributes.hasOwnProperty(name)) {
+            delete self[propertyName];
+        }
+    });
+};
+
+/**
+ * Marks the model as unchanged and takes a snapshot of the current values,
+ * which is what previous() and revert() use
+ */
 Model.prototype._clearDirty = function() {
     this._dirtyFields = EMPTY_DIRTY;
+
+    // Deep copy so changes made in place to object/array fields show up
+    this._previousAttributes = Utils.clone(dataFields(this));
 };
 
+/**
+ * Finds changes made in place to object and array fields, these don't go
+ * through set() so they have to be found by comparing with the snapshot
+ * taken the last time the model was fetched/saved
+ */
+function nestedChanges(model) {
+    var previous = model._previousAttributes,
+        current = dataFields(model),
+        changes = {};
+
+    for (var name in previous) {
+        if (model._dirtyFields.hasOwnProperty(name) ||
+            typeof previous[name] !== 'object' || previous[name] === null) {
+            continue;
+        }
+        diff(name, previous[name], current[name], changes);
+    }
+    return changes;
+}
+
+function diff(path, before, after, changes) {
+    if (Utils.isPlainObject(before) && Utils.isPlainObject(after)) {
+        var keys = Object.keys(before).concat(Object.keys(after).filter(function(key) {
+            return !before.hasOwnProperty(key);
+        }));
+        keys.forEach(function(key) {
+            diff(path + '.' + key, before[key], after[key], changes);
+        });
+        return;
+    }
+
+    if (!Utils.isEqual(before, after)) {
+        changes[path] = after;
+    }
+}
+
 Model.prototype.init = function() {
 };
 
 /**
- * Override to check the validity of a model at any point in time
+ * Lifecycle hooks, override these to run code around save/fetch/destroy.
+ * Each hook is called with this set to the model and the options passed to
+ * the operation, call back with an error (or return a promise that rejects)
+ * from a before hook to abort the operation, the error is passed back to the
+ * caller of save/destroy
+ */
+var HOOK_NAMES = [
+    'beforeValidate',
+    'beforeSave',
+    'beforeCreate',
+    'afterCreate',
+    'beforeUpdate',
+    'afterUpdate',
+    'afterFetch',
+    'beforeDestroy',
+    'afterDestroy'
+];
+HOOK_NAMES.forEach(function(name) {
+    Model.prototype[name] = function(options, callback) {
+        callback();
+    };
+});
+
+/**
+ * Override to check the validity of a model at any point in time.  By default
+ * the rules declared in the model attributes are checked, see validators.js,
+ * if you override validate you can still run these by calling the base
+ * validate via super_.  If no callback is passed a promise is returned that
+ * resolves to the array of errors, overrides can also return a promise
+ * instead of calling back
  */
 Model.prototype.validate = function(callback) {
-    process.nextTick(function() {
-        callback([]);
+    if (!callback) {
+        var self = this;
+        return new Promise(function(resolve) {
+            self.validate(resolve);
+        });
+    }
+    Validators.validate(this, this.attributes, callback);
+};
+
+/**
+ * Returns a plain object containing the data fields of the model. Backing
+ * fields prefixed with _ are returned without the _, the same as changed().
+ * Options:
+ *   only: array of field names, only these fields are returned
+ *   except: array of field names to leave out
+ *   hidden: if true, attributes declared with hidden: true are included,
+ *           by default they are left out
+ *   relations: if false, loaded relations are left out, by default they
+ *              are included nested under the relation name
+ *   computed: if true all computed attributes are included, if false none
+ *             are, by default only those declared with json: true
+ */
+Model.prototype.toJson = function(options) {
+    options = options || {};
+
+    var fields = dataFields(this),
+        json = {},
+        attribute;
+
+    for (var name in fields) {
+        attribute = this.attributes[name];
+        if (attribute && attribute.hidden && !options.hidden) {
+            continue;
+        }
+        if (options.only && options.only.indexOf(name) === -1) {
+            continue;
+        }
+        if (options.except && options.except.indexOf(name) !== -1) {
+            continue;
+        }
+        json[name] = fields[name];
+    }
+
+    if (options.computed !== false) {
+        Computed.serialize(this, json, options);
+    }
+    if (options.relations !== false) {
+        Relations.serialize(this, json, options);
+    }
+    return json;
+};
+
+/**
+ * Returns the fields that should be written to the backing store, which is
+ * all of the data fields including hidden attributes, but no relations or
+ * computed attributes.  Data adapters use this rather than toJson()
+ */
+Model.prototype.toData = function() {
+    return this.toJson({ hidden: true, relations: false, computed: false });
+};
+
+/**
+ * Called by JSON.stringify
+ */
+Model.prototype.toJSON = function() {
+    return this.toJson();
+};
+
+/**
+ * Returns the data fields stored on the model, keyed by the same name
+ * set() uses for changed() i.e. without the _ prefix
+ */
+function dataFields(model) {
+    var fields = {},
+        value;
+
+    Object.keys(model).forEach(function(key) {
+        value = model[key];
+        if (INTERNAL_FIELDS[key] || typeof value === 'function') {
+            return;
+        }
+        fields[key[0] === '_' ? key.substr(1) : key] = value;
+    });
+    return fields;
+}
+
+/**
+ * Fetches the model with the specified id, calls back with the model. If no
+ * callback is passed a promise is returned
+ */
+Model.findById = function(id, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    var scope = options.scope,
+        model = (scope && scope.get(this, id)) || new this({ id: id });
+    return Utils.promiseOrCallback(callback, function(done) {
+        model.fetch(options, function(error) {
+            done(error, error ? undefined : IdentityMap.track(model, scope));
+        });
     });
 };
 
-Model.prototype.toJson = function() {
-    throw 'not implemented';
+/**
+ * Finds all of the models whose fields match criteria e.g.
+ *
+ *   Person.find({ lastName: 'smith' }, { sort: '-age', limit: 10, offset: 20 }, callback)
+ *
+ * Calls back with an array of models, they are not marked as changed since
+ * they are fresh from the backing store. Sort can be a field name, a field
+ * name prefixed with - for descending, an array of those or an object like
+ * { age: 'desc' }.  Uses data.query, if no callback is passed a promise is
+ * returned
+ */
+Model.find = function(criteria, options, callback) {
+    var args = finderArguments(criteria, options, callback),
+        Type = this,
+        scope = args.options.scope;
+
+    return Utils.promiseOrCallback(args.callback, function(done) {
+        runQuery(Type, args.criteria, args.options, function(error, rows) {
+            if (error) {
+                return done(error);
+            }
+
+            var refreshedAt = new Date();
+            done(null, (rows || []).map(function(row) {
+                // Keep the instance from the identity map, including any
+                // changes that haven't been saved yet
+                var existing = scope && scope.get(Type, row.id);
+                if (existing) {
+                    return existing;
+                }
+
+                var model = new Type(row);
+                model._clearDirty();
+                model.refreshedAt = refreshedAt;
+                return IdentityMap.track(model, scope);
+            }));
+        });
+    });
 };
 
-Model.derive = function(instanceProperties) {
-    // e.g. this is function Model()
-    var base = this;
+/**
+ * Calls back with the number of models matching criteria. Uses data.count if
+ * the adapter has one, otherwise data.query
+ */
+Model.count = function(criteria, options, callback) {
+    var args = finderArguments(criteria, options, callback),
+        Type = this,
+        data = this.prototype.data;
+
+    return Utils.promiseOrCallback(args.callback, function(done) {
+        if (data.count) {
+            Utils.invoke(data.count, data, [buildQuery(args.criteria, {}), args.options], done);
+            return;
+        }
+
+        // Counting ignores paging, other options such as withDeleted still apply
+        var options = Utils.extend({}, args.options);
+        delete options.limit;
+        delete options.offset;
+        runQuery(Type, args.criteria, options, function(error, rows) {
+            done(error, error ? undefined : rows.length);
+        });
+    });
+};
 
-    var derived = function() { 
-        // this is the executing function, so base.apply
-        // calls Model() with the passed in arguments
-        base.apply(this, arguments); 
+/**
+ * Calls back with true if there is at least one model matching criteria
+ */
+Model.exists = function(criteria, options, callback) {
+    var args = finderArguments(criteria, options, callback),
+        Type = this;
+
+    return Utils.promiseOrCallback(args.callback, function(done) {
+        var options = Utils.extend({}, args.options, { limit: 1, offset: 0 });
+        runQuery(Type, args.criteria, options, function(error, rows) {
+            done(error, error ? undefined : rows.length > 0);
+        });
+    });
+};
+
+/**
+ * criteria and options are optional for the finders
+ */
+function finderArguments(criteria, options, callback) {
+    if (typeof criteria === 'function') {
+        callback = criteria;
+        criteria = null;
+        options = null;
+    }
+    else if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    return {
+        criteria: criteria || {},
+        options: options || {},
+        callback: callback
     };
+}
 
-    // Copy across static properties
-    Utils.extend(derived, base);
+function buildQuery(criteria, options) {
+    return {
+        where: criteria,
+        sort: Query.normalizeSort(options.sort),
+        limit: options.limit,
+        offset: options.offset
+    };
+}
 
-    // Make derived inherit the base
-    Utils.extend(derived.prototype, base.prototype);
-    
-    // Overwrite any instance properties the user may have passed in
-    Utils.extend(derived.prototype, instanceProperties);
+function runQuery(Type, criteria, options, callback) {
+    var data = Type.prototype.data;
+    if (!data.query) {
+        return process.nextTick(function() {
+            callback({ notImplemented: true });
+        });
+    }
+    Utils.invoke(data.query, data, [buildQuery(criteria, options), options], callback);
+}
 
-    // Give callers access the the base init
-    derived.super_ = base.prototype;
+/**
+ * Creates a new model type.  As well as regular instance properties you can
+ * pass an "attributes" object, for each attribute a getter and setter is
+ * generated that routes through set(), so assigning to the attribute always
+ * updates the changed() information e.g.
+ *
+ *   Model.derive({ attributes: { name: { type: 'string' }, age: { default: 0 } } })
+ *
+ * Pass "mixins" to apply reusable behaviour, see mixins.js.  defaults are
+ * merged with the defaults of the base model
+ */
+Model.derive = function(instanceProperties) {
+    // e.g. this is function Model()
+    var base = this,
+        resolved = Mixins.resolve(base, instanceProperties || {}, HOOK_NAMES),
+        properties = resolved.properties,
+        derived = Utils.derive(base, properties);
 
+    if (properties.attributes) {
+        defineAttributes(derived, base, properties);
+    }
+    else if (properties.defaults) {
+        derived.prototype.defaults = Utils.extend({}, base.prototype.defaults, properties.defaults);
+    }
+    if (properties.relations) {
+        Relations.define(derived.prototype, base.prototype.relations, properties.relations);
+    }
+    if (properties.computed) {
+        Computed.define(derived.prototype, base.prototype.computed, properties.computed);
+    }
+    Mixins.compose(derived, base, properties, resolved, HOOK_NAMES);
     return derived;
 };
 
-module.exports = Model;
\ No newline at end of file
+function defineAttributes(derived, base, instanceProperties) {
+    var proto = derived.prototype,
+        attributes = Utils.extend({}, base.prototype.attributes, instanceProperties.attributes),
+        defaults = {},
+        name;
+
+    for (name in instanceProperties.attributes) {
+        // Don't stomp on getters/setters the caller wrote themselves
+        if (instanceProperties.__lookupGetter__(name) ||
+            instanceProperties.__lookupSetter__(name)) {
+            continue;
+        }
+        defineAccessors(proto, name);
+    }
+
+    for (name in attributes) {
+        if (attributes[name] && attributes[name].hasOwnProperty('default')) {
+            defaults[name] = attributes[name]['default'];
+        }
+    }
+
+    // Explicit defaults win over the attribute defaults
+    proto.attributes = attributes;
+    proto.defaults = Utils.extend(defaults, base.prototype.defaults, instanceProperties.defaults);
+}
+
+function defineAccessors(proto, name) {
+    var backingName = '_' + name;
+    proto.__defineGetter__(name, function() {
+        return this[backingName];
+    });
+    proto.__defineSetter__(name, function(value) {
+        this.set(backingName, value);
+    });
+}
+
+/**
+ * Begins an identity map scope, within it there is only one instance of
+ * each model type and id.  Pass the scope to the finders and save() as
+ * options.scope, see identity-map.js.  Returns the scope, which has
+ * instance(Type, properties), get(Type, id), add(model), evict(model),
+ * clear() and end()
+ */
+Model.beginScope = function() {
+    return new IdentityMap.Scope();
+};
+
+/**
+ * Ends the identity map scope, other scopes are not affected
+ */
+Model.endScope = function(scope) {
+    if (scope) {
+        scope.end();
+    }
+    return scope || null;
+};
+
+/**
+ * Removes the model from the identity map scope it belongs to, the next
+ * lookup for its id creates a new instance
+ */
+Model.evict = function(model) {
+    IdentityMap.evict(model);
+};
+
+module.exports = Model;
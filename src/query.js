@@ -0,0 +1,94 @@
+var Utils = require('./utils');
+
+/**
+ * Helpers for the queries built by the static finders, e.g. Model.find.
+ * A query passed to data.query looks like:
+ *
+ *   {
+ *       where: { name: 'frank', age: 55 },
+ *       sort: [{ field: 'age', direction: 'desc' }],
+ *       limit: 10,
+ *       offset: 20
+ *   }
+ *
+ * where is a set of fields that must equal the values given, a null value
+ * matches fields that are null or missing.
+ */
+
+/**
+ * Sort can be given as 'name', '-age', an array of those, or an object
+ * like { name: 'asc', age: -1 }.  Returns an array of { field, direction }
+ */
+exports.normalizeSort = function(sort) {
+    if (sort == null) {
+        return [];
+    }
+
+    if (Utils.isPlainObject(sort)) {
+        return Object.keys(sort).map(function(field) {
+            var direction = sort[field];
+            return {
+                field: field,
+                direction: direction === -1 || String(direction).toLowerCase() === 'desc' ? 'desc' : 'asc'
+            };
+        });
+    }
+
+    return [].concat(sort).map(function(field) {
+        if (typeof field !== 'string') {
+            return field;
+        }
+        return field[0] === '-' ?
+            { field: field.substr(1), direction: 'desc' } :
+            { field: field, direction: 'asc' };
+    });
+};
+
+function matches(item, where) {
+    return Object.keys(where || {}).every(function(field) {
+        var expected = where[field];
+        if (expected == null) {
+            return item[field] == null;
+        }
+        return Utils.isEqual(item[field], expected);
+    });
+}
+
+function compare(a, b) {
+    if (a == null) {
+        return b == null ? 0 : -1;
+    }
+    if (b == null) {
+        return 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Runs a query against an array of plain objects, for adapters that keep
+ * all of their items locally e.g. the memory and file adapters
+ */
+exports.run = function(items, query) {
+    query = query || {};
+
+    var sort = query.sort || [],
+        result = items.filter(function(item) {
+            return matches(item, query.where);
+        });
+
+    if (sort.length > 0) {
+        result.sort(function(a, b) {
+            for (var i = 0; i < sort.length; ++i) {
+                var order = compare(a[sort[i].field], b[sort[i].field]);
+                if (order !== 0) {
+                    return sort[i].direction === 'desc' ? -order : order;
+                }
+            }
+            return 0;
+        });
+    }
+
+    var start = query.offset || 0,
+        end = query.limit != null ? start + query.limit : undefined;
+    return result.slice(start, end);
+};
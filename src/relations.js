@@ -0,0 +1,203 @@
+/**
+ * Relationships between models, declared with the relations property when
+ * you derive a model e.g.
+ *
+ *   var Person = Model.derive({
+ *       relations: {
+ *           company: { type: 'belongsTo', model: Company, foreignKey: 'companyId' },
+ *           profile: { type: 'hasOne', model: Profile, foreignKey: 'personId' },
+ *           addresses: { type: 'hasMany', model: Address, foreignKey: 'personId' }
+ *       }
+ *   });
+ *
+ * belongsTo means this model holds the id of the related model in the
+ * foreign key field (defaults to the relation name + 'Id'), hasOne and
+ * hasMany mean the related models hold the id of this model.  model can
+ * also be a function that returns the model type, for types that refer to
+ * each other.
+ *
+ * For each relation a get<Name>(options, callback) method is added that
+ * loads the related model(s) through their own data adapter, and for
+ * belongsTo a set<Name>(model) method that updates the foreign key.
+ */
+
+var Utils = require('./utils');
+
+var TYPES = ['belongsTo', 'hasOne', 'hasMany'];
+
+function capitalize(name) {
+    return name[0].toUpperCase() + name.substr(1);
+}
+
+/**
+ * Fills in the defaults for each relation and checks they are valid
+ */
+function normalize(relations) {
+    var normalized = {};
+    Object.keys(relations).forEach(function(name) {
+        var relation = Utils.extend({}, relations[name]);
+        if (TYPES.indexOf(relation.type) === -1) {
+            throw new Error('relation ' + name + ' must have a type of ' + TYPES.join(', '));
+        }
+        if (!relation.model) {
+            throw new Error('relation ' + name + ' must specify a model');
+        }
+        if (!relation.foreignKey) {
+            if (relation.type !== 'belongsTo') {
+                throw new Error('relation ' + name + ' must specify a foreignKey');
+            }
+            relation.foreignKey = name + 'Id';
+        }
+        normalized[name] = relation;
+    });
+    return normalized;
+}
+
+function relatedType(relation) {
+    // Model types have derive, anything else is a function returning the type
+    return typeof relation.model.derive === 'function' ? relation.model : relation.model();
+}
+
+/**
+ * Adds the relations and their accessor methods to the prototype of a
+ * derived model
+ */
+exports.define = function(proto, inherited, relations) {
+    relations = normalize(relations);
+    proto.relations = Utils.extend({}, inherited, relations);
+
+    Object.keys(relations).forEach(function(name) {
+        var relation = relations[name];
+
+        proto['get' + capitalize(name)] = function(options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+
+            var self = this;
+            return Utils.promiseOrCallback(callback, function(done) {
+                exports.load(self, name, options || {}, done);
+            });
+        };
+
+        if (relation.type === 'belongsTo') {
+            proto['set' + capitalize(name)] = function(model) {
+                this.set(relation.foreignKey, model ? model.id : null);
+                this._related[name] = model || null;
+            };
+        }
+    });
+};
+
+/**
+ * Loads a relation, calls back with the related model, null if there is
+ * no related model, or an array of models for hasMany
+ */
+exports.load = function(model, name, options, callback) {
+    var relation = model.relations[name];
+    if (!relation) {
+        return process.nextTick(function() {
+            callback({ unknownRelation: true, message: 'no relation called ' + name });
+        });
+    }
+
+    function loaded(error, value) {
+        if (!error) {
+            model._related[name] = value;
+        }
+        callback(error, value);
+    }
+
+    // Related models are loaded in to the identity map scope of the model
+    if (model._scope && !(options && options.scope)) {
+        options = Utils.extend({}, options, { scope: model._scope });
+    }
+
+    var Related = relatedType(relation),
+        criteria = {};
+
+    switch (relation.type) {
+    case 'belongsTo':
+        if (model[relation.foreignKey] == null) {
+            return process.nextTick(function() {
+                loaded(null, null);
+            });
+        }
+        Related.findById(model[relation.foreignKey], options, loaded);
+        break;
+
+    case 'hasOne':
+        criteria[relation.foreignKey] = model.id;
+        Related.find(criteria, Utils.extend({}, options, { limit: 1 }), function(error, models) {
+            loaded(error, error ? undefined : models[0] || null);
+        });
+        break;
+
+    case 'hasMany':
+        criteria[relation.foreignKey] = model.id;
+        Related.find(criteria, options, loaded);
+        break;
+    }
+};
+
+/**
+ * Loads each of the named relations in turn
+ */
+exports.include = function(model, names, callback) {
+    Utils.series([].concat(names).map(function(name) {
+        return function(next) {
+            exports.load(model, name, {}, function(error) {
+                next(error);
+            });
+        };
+    }), callback);
+};
+
+/**
+ * Returns the relation if it has been loaded, a loaded belongsTo relation
+ * is ignored once the foreign key no longer matches it
+ */
+exports.loaded = function(model, name) {
+    var relation = model.relations[name],
+        value = model._related[name];
+
+    if (!relation || value === undefined) {
+        return undefined;
+    }
+    if (relation.type === 'belongsTo' && value !== null &&
+        value.id !== model[relation.foreignKey]) {
+        return undefined;
+    }
+    return value;
+};
+
+/**
+ * Adds the toJson of each loaded relation to json
+ */
+exports.serialize = function(model, json, options) {
+    Object.keys(model.relations).forEach(function(name) {
+        var value = exports.loaded(model, name);
+        if (value === undefined) {
+            return;
+        }
+        if (options.only && options.only.indexOf(name) === -1) {
+            return;
+        }
+        if (options.except && options.except.indexOf(name) !== -1) {
+            return;
+        }
+
+        // only/except apply to this model, not the related models
+        var nestedOptions = { hidden: options.hidden };
+        if (Array.isArray(value)) {
+            json[name] = value.map(function(related) {
+                return related.toJson(nestedOptions);
+            });
+        }
+        else {
+            json[name] = value && value.toJson(nestedOptions);
+        }
+    });
+    return json;
+};
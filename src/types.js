@@ -0,0 +1,109 @@
+/**
+ * Casts values to the type declared for an attribute, set() uses these so
+ * a model always holds values of the right type e.g.
+ *
+ *   Model.derive({
+ *       attributes: {
+ *           age: { type: 'integer' },
+ *           born: { type: 'date' },
+ *           point: {
+ *               cast: function(value) {
+ *                   var parts = String(value).split(',');
+ *                   return { x: Number(parts[0]), y: Number(parts[1]) };
+ *               }
+ *           }
+ *       }
+ *   });
+ *
+ * Built in types are string, number, integer, boolean, date and json, an
+ * attribute can use its own cast function instead.  A cast throws if the
+ * value can't be converted.  null and undefined are never cast, and an
+ * empty string becomes null for every type other than string.
+ */
+
+function fail() {
+    throw new Error('cast failed');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number' && !isNaN(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return fail();
+}
+
+var casts = {
+    string: function(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return value.toISOString();
+        }
+        return fail();
+    },
+    number: toNumber,
+    integer: function(value) {
+        var number = toNumber(value);
+        if (!isFinite(number) || Math.floor(number) !== number) {
+            fail();
+        }
+        return number;
+    },
+    boolean: function(value) {
+        if (value === true || value === 'true' || value === 1 || value === '1') {
+            return true;
+        }
+        if (value === false || value === 'false' || value === 0 || value === '0') {
+            return false;
+        }
+        return fail();
+    },
+    date: function(value) {
+        var date = value;
+        if (typeof value === 'string' || typeof value === 'number') {
+            date = new Date(value);
+        }
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            fail();
+        }
+        return date;
+    },
+    json: function(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+};
+
+/**
+ * Casts the value for the named attribute, returns { value } or, if the
+ * value can't be cast, { value, error } where value is left as it was and
+ * error is the message for the validation error
+ */
+exports.cast = function(name, attribute, value) {
+    var cast = attribute.cast || casts[attribute.type];
+    if (!cast || value == null) {
+        return { value: value };
+    }
+    if (value === '' && !attribute.cast && attribute.type !== 'string') {
+        return { value: null };
+    }
+
+    try {
+        return { value: cast(value) };
+    }
+    catch (e) {
+        // Custom casts can throw their own message
+        var message = attribute.cast ?
+            (e && e.message) || name + ' could not be cast' :
+            name + ' must be of type ' + attribute.type;
+        return { value: value, error: message };
+    }
+};
+
+exports.casts = casts;
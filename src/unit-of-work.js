@@ -0,0 +1,343 @@
+var IdentityMap = require('./identity-map'),
+    Utils = require('./utils'),
+    Validators = require('./validators');
+
+/**
+ * Collects models that need to be saved or destroyed and writes them all in
+ * one go, instead of nesting save() callbacks e.g.
+ *
+ *   var work = new UnitOfWork();
+ *   work.add([company, person]);
+ *   work.remove(oldAddress);
+ *   work.commit(function(error) {
+ *       if (error) {
+ *           // error.modelErrors is [{ model, operation, error }]
+ *       }
+ *   });
+ *
+ * commit runs beforeValidate and validates every model first, and writes
+ * nothing if any of them are invalid.  save() is told they have been
+ * validated so it doesn't validate them again.  It then creates the new models, updates the changed models and
+ * destroys the removed models, each group in the order they were added,
+ * using save() and destroy() so hooks, events and versions work as usual.
+ * Added models that are neither new nor changed are skipped.
+ *
+ * If a data adapter has begin, commit and rollback functions the writes
+ * are wrapped in a transaction:
+ *   begin(options, callback(error, transaction))
+ *   commit(transaction, options, callback(error))
+ *   rollback(transaction, options, callback(error))
+ * The transaction is passed to each data function as options.transaction.
+ * When a write fails every transaction is rolled back and the models whose
+ * writes were rolled back are put back the way they were before commit, so
+ * it can be retried.  Writes to adapters without transactions can't be
+ * undone, those models are left saved, unregistered and reported in the
+ * error as written: [{ model, operation }].
+ */
+function UnitOfWork() {
+    this._saves = [];
+    this._destroys = [];
+}
+
+function without(models, model) {
+    return models.filter(function(item) {
+        return item !== model;
+    });
+}
+
+/**
+ * Registers a model, or an array of models, to be saved
+ */
+UnitOfWork.prototype.add = function(models) {
+    var self = this;
+    [].concat(models).forEach(function(model) {
+        self._destroys = without(self._destroys, model);
+        if (self._saves.indexOf(model) === -1) {
+            self._saves.push(model);
+        }
+    });
+    return this;
+};
+
+/**
+ * Registers a model, or an array of models, to be destroyed.  New models
+ * that were added are simply forgotten
+ */
+UnitOfWork.prototype.remove = function(models) {
+    var self = this;
+    [].concat(models).forEach(function(model) {
+        self._saves = without(self._saves, model);
+        if (self._destroys.indexOf(model) === -1) {
+            self._destroys.push(model);
+        }
+    });
+    return this;
+};
+
+/**
+ * Forgets every registered model
+ */
+UnitOfWork.prototype.clear = function() {
+    this._saves = [];
+    this._destroys = [];
+    return this;
+};
+
+/**
+ * Returns the models commit would write right now, as
+ * { create: [...], update: [...], destroy: [...] }
+ */
+UnitOfWork.prototype.pending = function() {
+    return {
+        create: this._saves.filter(function(model) {
+            return model.isNew();
+        }),
+        update: this._saves.filter(function(model) {
+            return !model.isNew() && model.hasChanged();
+        }),
+        destroy: this._destroys.filter(function(model) {
+            return !model.isNew();
+        })
+    };
+};
+
+/**
+ * Validates then writes all of the registered models.  On failure calls
+ * back with { modelErrors: [{ model, operation, error }] }, where a model
+ * that failed validation has an error of { validationErrors: [...] }.  If
+ * beginning or committing a transaction fails the error is
+ * { transactionError: error }.  Models written to adapters without
+ * transactions before the failure are listed in error.written.  The
+ * registered models are cleared once the commit succeeds.  If no callback
+ * is passed a promise is returned
+ */
+UnitOfWork.prototype.commit = function(options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    var self = this,
+        pending = this.pending(),
+        operations = [];
+
+    ['create', 'update', 'destroy'].forEach(function(operation) {
+        pending[operation].forEach(function(model) {
+            operations.push({ model: model, operation: operation });
+        });
+    });
+
+    return Utils.promiseOrCallback(callback, function(done) {
+        validateAll(operations, options, function(modelErrors) {
+            if (modelErrors.length > 0) {
+                return done({ modelErrors: modelErrors });
+            }
+
+            flush(operations, options, function(error) {
+                if (!error) {
+                    self.clear();
+                }
+                else if (error.written) {
+                    // They are in the backing store, a retry mustn't write them again
+                    error.written.forEach(function(item) {
+                        self._saves = without(self._saves, item.model);
+                        self._destroys = without(self._destroys, item.model);
+                    });
+                }
+                done(error);
+            });
+        });
+    });
+};
+
+/**
+ * Runs beforeValidate and validates the models that are going to be saved,
+ * the same as save() does, calls back with an array of
+ * { model, operation, error }
+ */
+function validateAll(operations, options, callback) {
+    var modelErrors = [];
+
+    Utils.series(operations.filter(function(item) {
+        return item.operation !== 'destroy';
+    }).map(function(item) {
+        return function(next) {
+            var model = item.model;
+            Utils.invoke(model.beforeValidate, model, [options], function(error) {
+                if (error) {
+                    modelErrors.push({ model: model, operation: item.operation, error: error });
+                    return next();
+                }
+
+                Validators.run(model, function(errors) {
+                    if (errors.length > 0) {
+                        modelErrors.push({
+                            model: model,
+                            operation: item.operation,
+                            error: { validationErrors: errors }
+                        });
+                    }
+                    next();
+                });
+            });
+        };
+    }), function() {
+        callback(modelErrors);
+    });
+}
+
+function flush(operations, options, callback) {
+    var transactions = [],
+        snapshots = operations.map(function(item) {
+            return snapshot(item.model);
+        }),
+        failed;
+
+    // Each data adapter only gets one transaction, however many models use it
+    operations.forEach(function(item) {
+        var data = item.model.data;
+        if (typeof data.begin === 'function' && !transactionFor(transactions, data)) {
+            transactions.push({ data: data, began: false });
+        }
+    });
+
+    Utils.series(transactions.map(function(entry) {
+        return function(next) {
+            Utils.invoke(entry.data.begin, entry.data, [options], function(error, transaction) {
+                if (error) {
+                    failed = { transactionError: error };
+                }
+                else {
+                    entry.began = true;
+                    entry.transaction = transaction;
+                }
+                next(error);
+            });
+        };
+    }).concat(operations.map(function(item) {
+        return function(next) {
+            var entry = transactionFor(transactions, item.model.data),
+                itemOptions = Utils.extend({}, options, { validated: true });
+            if (entry) {
+                itemOptions.transaction = entry.transaction;
+            }
+
+            item.model[item.operation === 'destroy' ? 'destroy' : 'save'](itemOptions, function(error) {
+                if (error) {
+                    failed = { modelErrors: [{ model: item.model, operation: item.operation, error: error }] };
+                }
+                item.written = !error;
+                next(error);
+            });
+        };
+    })).concat(transactions.map(function(entry) {
+        return function(next) {
+            Utils.invoke(entry.data.commit, entry.data, [entry.transaction, options], function(error) {
+                if (error) {
+                    failed = { transactionError: error };
+                }
+                else {
+                    entry.began = false;
+                }
+                next(error);
+            });
+        };
+    })), function(error) {
+        if (!error) {
+            return callback();
+        }
+
+        // Writes made inside a transaction that is still open are about to be
+        // rolled back, any others are already in the backing store
+        var written = operations.filter(function(item) {
+            var entry = transactionFor(transactions, item.model.data);
+            return item.written && !(entry && entry.began);
+        });
+
+        rollback(transactions, options, function() {
+            operations.forEach(function(item, index) {
+                if (written.indexOf(item) === -1) {
+                    restore(item.model, snapshots[index]);
+                }
+            });
+            if (written.length > 0) {
+                failed.written = written.map(function(item) {
+                    return { model: item.model, operation: item.operation };
+                });
+            }
+            callback(failed);
+        });
+    });
+}
+
+function transactionFor(transactions, data) {
+    for (var i = 0; i < transactions.length; ++i) {
+        if (transactions[i].data === data) {
+            return transactions[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Rolls back every transaction that is still open, errors are ignored
+ * since the original error is the one the caller needs to see
+ */
+function rollback(transactions, options, callback) {
+    Utils.series(transactions.filter(function(entry) {
+        return entry.began;
+    }).map(function(entry) {
+        return function(next) {
+            Utils.invoke(entry.data.rollback, entry.data, [entry.transaction, options], function() {
+                next();
+            });
+        };
+    }), callback);
+}
+
+/**
+ * Records the state of a model so it can be put back if the commit fails
+ */
+function snapshot(model) {
+    return {
+        data: Utils.clone(model.toData()),
+        dirtyFields: model._dirtyFields,
+        previousAttributes: model._previousAttributes,
+        scope: IdentityMap.scopeOf(model)
+    };
+}
+
+/**
+ * Puts the model back the way it was, without going through set() since
+ * this isn't a change to the model.  Fields written by the save, such as
+ * the id of a created model, are removed
+ */
+function restore(model, state) {
+    var current = model.toData();
+
+    Object.keys(current).forEach(function(name) {
+        if (!state.data.hasOwnProperty(name)) {
+            delete model[model.hasOwnProperty('_' + name) ? '_' + name : name];
+        }
+    });
+    Object.keys(state.data).forEach(function(name) {
+        model[model.hasOwnProperty('_' + name) ? '_' + name : name] = state.data[name];
+    });
+
+    model._dirtyFields = state.dirtyFields;
+    model._previousAttributes = state.previousAttributes;
+
+    // The model is no longer, or is once again, in the backing store
+    var scope = IdentityMap.scopeOf(model);
+    if (model.isNew()) {
+        if (scope) {
+            scope.evict(model.constructor, current.id);
+        }
+    }
+    else {
+        IdentityMap.track(model, state.scope);
+    }
+}
+
+module.exports = UnitOfWork;
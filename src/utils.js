@@ -20,4 +20,186 @@ exports.extend = function(obj) {
         }
     });
     return obj;
-};
\ No newline at end of file
+};
+
+/**
+ * Creates a new constructor that inherits from base, the returned function
+ * calls the base constructor, gets a copy of the static properties of base
+ * and has instanceProperties copied on to its prototype.  This is the
+ * machinery behind Model.derive and Collection.derive
+ */
+exports.derive = function(base, instanceProperties) {
+    var derived = function() { 
+        // this is the executing function, so base.apply
+        // calls the base constructor with the passed in arguments
+        base.apply(this, arguments); 
+    };
+
+    // Copy across static properties
+    exports.extend(derived, base);
+
+    // Make derived inherit the base
+    exports.extend(derived.prototype, base.prototype);
+    
+    // Overwrite any instance properties the user may have passed in
+    exports.extend(derived.prototype, instanceProperties);
+
+    // Give callers access the the base init
+    derived.super_ = base.prototype;
+
+    return derived;
+};
+
+/**
+ * Calls fn with args plus a node style callback.  fn can either call the
+ * callback or return a promise, in which case callback(null, value) is
+ * called when the promise resolves and callback(error) when it rejects.
+ * The callback is only ever called once
+ */
+exports.invoke = function(fn, context, args, callback) {
+    var called = false;
+    function done() {
+        if (called) {
+            return;
+        }
+        called = true;
+        callback.apply(null, arguments);
+    }
+
+    var result = fn.apply(context, args.concat([done]));
+    if (exports.isPromise(result)) {
+        result.then(function(value) {
+            // Get out of the promise chain so exceptions thrown by the
+            // callback are not swallowed
+            process.nextTick(function() {
+                done(null, value);
+            });
+        }, function(error) {
+            process.nextTick(function() {
+                done(error || {});
+            });
+        });
+    }
+};
+
+/**
+ * Used by methods that support both callbacks and promises. If a callback
+ * is passed, run is called with it, otherwise a promise is returned that
+ * is settled by the node style callback run is passed
+ */
+exports.promiseOrCallback = function(callback, run) {
+    if (typeof callback === 'function') {
+        run(callback);
+        return undefined;
+    }
+
+    return new Promise(function(resolve, reject) {
+        run(function(error, value) {
+            if (error) {
+                reject(error);
+            }
+            else {
+                resolve(value);
+            }
+        });
+    });
+};
+
+/**
+ * Used by the adapters to check the version precondition passed in the
+ * update options, compares the JSON form so a Date matches the ISO string
+ * it is stored as
+ */
+exports.sameVersion = function(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+exports.isPromise = function(value) {
+    return value != null && typeof value.then === 'function';
+};
+
+/**
+ * Runs each task in turn, a task is a function(next) that calls next with
+ * an error to stop the series.  callback is called with the first error,
+ * or no error once all of the tasks have completed
+ */
+exports.series = function(tasks, callback) {
+    var index = 0;
+    function next(error) {
+        if (error || index === tasks.length) {
+            callback(error);
+            return;
+        }
+        tasks[index++](next);
+    }
+    next();
+};
+
+/**
+ * True for objects created with {} or new Object(), as opposed to arrays,
+ * dates, models or other class instances
+ */
+exports.isPlainObject = function(value) {
+    if (value == null || typeof value !== 'object') {
+        return false;
+    }
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Deep copy of plain objects, arrays and dates, any other value is
+ * returned as is
+ */
+exports.clone = function(value) {
+    if (Array.isArray(value)) {
+        return value.map(exports.clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (exports.isPlainObject(value)) {
+        var copy = {};
+        for (var key in value) {
+            if (value.hasOwnProperty(key)) {
+                copy[key] = exports.clone(value[key]);
+            }
+        }
+        return copy;
+    }
+    return value;
+};
+
+/**
+ * Structural equality for plain objects, arrays and dates, any other values
+ * are compared with ===
+ */
+exports.isEqual = function(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (var i = 0; i < a.length; ++i) {
+            if (!exports.isEqual(a[i], b[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (exports.isPlainObject(a) && exports.isPlainObject(b)) {
+        var keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) {
+            return false;
+        }
+        return keys.every(function(key) {
+            return b.hasOwnProperty(key) && exports.isEqual(a[key], b[key]);
+        });
+    }
+    return false;
+};
@@ -0,0 +1,244 @@
+/**
+ * Built in validation rules, declared per attribute on a model e.g.
+ *
+ *   Model.derive({
+ *       attributes: {
+ *           name: { required: true, type: 'string', length: { min: 1, max: 50 } },
+ *           age: { type: 'integer', min: 0, max: 130 },
+ *           email: { pattern: /@/ },
+ *           role: { enum: ['admin', 'user'] },
+ *           nickname: {
+ *               custom: function(value, model, callback) {
+ *                   callback(value === 'joe' ? 'nobody can be called joe' : null);
+ *               }
+ *           }
+ *       }
+ *   });
+ *
+ * A custom rule calls back with a message, returns a promise of one or just
+ * returns it, null means the value is valid.
+ *
+ * Each failure produces an error object { field, rule, message }, the message
+ * for a rule can be overridden with the messages property of the attribute
+ * e.g. { required: true, messages: { required: 'we need a name' } }
+ */
+var Utils = require('./utils');
+
+var types = {
+    string: function(value) {
+        return typeof value === 'string';
+    },
+    number: function(value) {
+        return typeof value === 'number' && !isNaN(value);
+    },
+    integer: function(value) {
+        return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+    },
+    boolean: function(value) {
+        return typeof value === 'boolean';
+    },
+    date: function(value) {
+        return value instanceof Date && !isNaN(value.getTime());
+    },
+    array: function(value) {
+        return Array.isArray(value);
+    },
+    object: function(value) {
+        return typeof value === 'object' && !Array.isArray(value);
+    }
+};
+
+function isEmpty(value) {
+    return value == null || value === '';
+}
+
+/**
+ * Each rule returns a message if the value is invalid, otherwise undefined.
+ * Rules other than required are only checked if the field has a value
+ */
+var rules = {
+    required: function(value, required) {
+        if (required && isEmpty(value)) {
+            return 'is required';
+        }
+    },
+    type: function(value, type) {
+        var check = types[type];
+        if (check && !check(value)) {
+            return 'must be of type ' + type;
+        }
+    },
+    min: function(value, min) {
+        if (value < min) {
+            return 'must be greater than or equal to ' + min;
+        }
+    },
+    max: function(value, max) {
+        if (value > max) {
+            return 'must be less than or equal to ' + max;
+        }
+    },
+    length: function(value, length) {
+        if (value.length == null) {
+            return;
+        }
+        if (typeof length === 'number') {
+            length = { min: length, max: length };
+        }
+        if (length.min != null && value.length < length.min) {
+            return 'must have a length of at least ' + length.min;
+        }
+        if (length.max != null && value.length > length.max) {
+            return 'must have a length of at most ' + length.max;
+        }
+    },
+    pattern: function(value, pattern) {
+        if (!pattern.test(String(value))) {
+            return 'does not match the pattern ' + pattern;
+        }
+    },
+    'enum': function(value, values) {
+        if (values.indexOf(value) === -1) {
+            return 'must be one of ' + values.join(', ');
+        }
+    }
+};
+
+function error(field, rule, attribute, message) {
+    var messages = attribute.messages || {};
+    return {
+        field: field,
+        rule: rule,
+        message: messages[rule] || message
+    };
+}
+
+/**
+ * Checks the synchronous rules for a single attribute, returns an array
+ * of errors
+ */
+function checkRules(model, field, attribute) {
+    var value = model[field],
+        errors = [],
+        message;
+
+    // A value set() couldn't cast is only reported as a type error
+    if (model._castErrors && model._castErrors[field]) {
+        return [error(field, 'type', attribute, model._castErrors[field])];
+    }
+
+    for (var rule in rules) {
+        if (!attribute.hasOwnProperty(rule) || attribute[rule] == null) {
+            continue;
+        }
+        if (rule !== 'required' && isEmpty(value)) {
+            continue;
+        }
+
+        message = rules[rule](value, attribute[rule]);
+        if (message) {
+            errors.push(error(field, rule, attribute, field + ' ' + message));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the model against the rules declared in its attributes, calls
+ * back with an array of error objects, the array is empty if the model
+ * is valid
+ */
+exports.validate = function(model, attributes, callback) {
+    var errors = [],
+        pending = [];
+
+    Object.keys(attributes || {}).forEach(function(field) {
+        var attribute = attributes[field] || {},
+            fieldErrors = checkRules(model, field, attribute);
+
+        errors = errors.concat(fieldErrors);
+
+        // Custom rules are only run once the built in rules pass, so they
+        // can assume the value is the right shape
+        if (fieldErrors.length === 0 && attribute.custom) {
+            [].concat(attribute.custom).forEach(function(custom) {
+                pending.push({ field: field, attribute: attribute, custom: custom });
+            });
+        }
+    });
+
+    var remaining = pending.length,
+        customErrors = [];
+    if (remaining === 0) {
+        process.nextTick(function() {
+            callback(errors);
+        });
+        return;
+    }
+
+    pending.forEach(function(item, index) {
+        // Custom rules can call back with a message, return a promise that
+        // resolves to one or simply return it, null means the value is valid
+        var args = [model[item.field], model];
+        Utils.invoke(runCustom, model, [item.custom].concat(args), function(message, promisedMessage) {
+            message = message || promisedMessage;
+            if (message instanceof Error) {
+                message = message.message;
+            }
+            if (message) {
+                customErrors[index] = error(item.field, 'custom', item.attribute, message);
+            }
+            if (--remaining === 0) {
+                callback(errors.concat(customErrors.filter(Boolean)));
+            }
+        });
+    });
+};
+
+/**
+ * Runs a custom rule, a value it returns that isn't a promise is the result
+ * of the rule so synchronous rules don't need to call back
+ */
+function runCustom(custom, value, model, callback) {
+    var result = custom.call(this, value, model, callback);
+    if (result !== undefined && !Utils.isPromise(result)) {
+        callback(result);
+    }
+    return result;
+}
+
+/**
+ * Calls model.validate, which models can override.  validate can either
+ * call back with the errors or return a promise that resolves to the
+ * errors, calls back with an array of errors
+ */
+exports.run = function(model, callback) {
+    exports.runAll(model, [model.validate], callback);
+};
+
+/**
+ * Calls each of the validate functions in turn with the model as this,
+ * calls back with all of their errors
+ */
+exports.runAll = function(model, validators, callback) {
+    var errors = [];
+    Utils.series(validators.map(function(validate) {
+        return function(next) {
+            Utils.invoke(validate, model, [], function(validateErrors, promisedErrors) {
+                // A callback style validate passes the errors as the first
+                // argument, a promise that rejected is treated as a single
+                // validation error
+                if (validateErrors && !Array.isArray(validateErrors)) {
+                    validateErrors = [validateErrors];
+                }
+                errors = errors.concat(validateErrors || promisedErrors || []);
+                next();
+            });
+        };
+    }), function() {
+        callback(errors);
+    });
+};
+
+exports.rules = rules;
+exports.types = types;
@@ -0,0 +1,56 @@
+var Utils = require('./utils');
+
+/**
+ * When the model has a versionField, the version is bumped before the model
+ * is written and the version the model was read at is passed to the adapter
+ * as options.version = { field, expected }, so the adapter can refuse the
+ * update if someone else has saved the model since.  Returns the options to
+ * pass to the adapter and a function to undo the version change if the
+ * write fails
+ */
+exports.prepare = function(model, operation, options) {
+    var field = model.versionField,
+        none = { options: options, rollback: function() {} };
+
+    if (!field) {
+        return none;
+    }
+
+    var expected = model[field];
+    if (operation === 'create') {
+        if (expected != null) {
+            return none;
+        }
+        model.set(field, nextVersion(expected));
+        return {
+            options: options,
+            rollback: function() {
+                model.set(field, expected);
+            }
+        };
+    }
+
+    // Nothing to write, so the version stays the same
+    if (model.hasChanged()) {
+        model.set(field, nextVersion(expected));
+    }
+    return {
+        options: Utils.extend({}, options, {
+            version: { field: field, expected: expected }
+        }),
+        rollback: function() {
+            model.set(field, expected);
+        }
+    };
+};
+
+/**
+ * Versions are either numbers that are incremented, or dates (e.g. an
+ * updatedAt field) that are set to the current time
+ */
+function nextVersion(version) {
+    if (version instanceof Date) {
+        return new Date();
+    }
+    return (version || 0) + 1;
+}
@@ -0,0 +1,206 @@
+var should = require('should'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    Model = require('../').Model,
+    adapters = require('../').adapters,
+    auditSinks = require('../').auditSinks,
+    mixins = require('../').mixins;
+
+describe('audit', function() {
+    var sink = auditSinks.memory(),
+        data = adapters.memory(),
+        time = new Date(2020, 0, 1),
+        Person = Model.derive({
+            data: data,
+            mixins: [mixins.audit({ type: 'Person', sink: sink, now: function() { return time; } })]
+        });
+
+    beforeEach(function() {
+        sink.reset();
+        data.reset();
+    });
+
+    it('type and sink are required', function(done) {
+        (function() {
+            mixins.audit({ type: 'Person' });
+        }).should.throw();
+        (function() {
+            mixins.audit({ sink: sink });
+        }).should.throw();
+        done();
+    });
+
+    it('save and destroy are recorded', function(done) {
+        var p = new Person({ name: 'frank', address: { city: 'Seattle' } });
+        p.save({ actor: 'admin' }, function(error) {
+            should.not.exist(error);
+
+            p.set('name', 'bob');
+            p.address.city = 'Portland';
+            p.save({ actor: 'bob' }, function(error) {
+                should.not.exist(error);
+
+                p.destroy(function(error) {
+                    should.not.exist(error);
+
+                    var entries = sink.all();
+                    entries.length.should.equal(3);
+                    entries[0].should.eql({
+                        type: 'Person',
+                        id: 1,
+                        operation: 'create',
+                        changes: {
+                            name: { from: null, to: 'frank' },
+                            address: { from: null, to: { city: 'Seattle' } },
+                            id: { from: null, to: 1 }
+                        },
+                        at: time,
+                        actor: 'admin'
+                    });
+                    entries[1].operation.should.equal('update');
+                    entries[1].changes.should.eql({
+                        'address.city': { from: 'Seattle', to: 'Portland' },
+                        name: { from: 'frank', to: 'bob' }
+                    });
+                    entries[1].actor.should.equal('bob');
+                    entries[2].operation.should.equal('destroy');
+                    entries[2].changes.should.eql({});
+                    should.not.exist(entries[2].actor);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('saves that change nothing and failed saves are not recorded', function(done) {
+        var p = new Person({ id: 1, name: 'frank' });
+        data.seed(p.toData());
+
+        p.save(function(error) {
+            should.not.exist(error);
+
+            var missing = new Person({ id: 2 });
+            missing.set('name', 'bob');
+            missing.save(function(error) {
+                error.notFound.should.equal(true);
+                sink.all().length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it('history returns the entries for the model', function(done) {
+        var p = new Person({ name: 'frank' }),
+            other = new Person({ name: 'bob' });
+
+        p.save(function() {
+            other.save(function() {
+                p.set('name', 'pete');
+                p.save(function() {
+                    p.history().then(function(entries) {
+                        entries.map(function(entry) { return entry.operation; }).should.eql(['create', 'update']);
+                        entries[1].id.should.equal(p.id);
+                        done();
+                    }).catch(done);
+                });
+            });
+        });
+    });
+
+    it('the actor can be worked out from the options', function(done) {
+        var Thing = Model.derive({
+            data: data,
+            mixins: [mixins.audit({
+                type: 'Thing',
+                sink: sink,
+                actor: function(options) {
+                    return options.user && options.user.name;
+                }
+            })]
+        });
+
+        new Thing({ name: 'a' }).save({ user: { name: 'frank' } }, function(error) {
+            should.not.exist(error);
+            sink.all()[0].actor.should.equal('frank');
+            (sink.all()[0].at instanceof Date).should.equal(true);
+            done();
+        });
+    });
+
+    it('sink errors are passed back', function(done) {
+        var Thing = Model.derive({
+            data: data,
+            mixins: [mixins.audit({
+                type: 'Thing',
+                sink: {
+                    append: function(entry, callback) {
+                        callback({ full: true });
+                    }
+                }
+            })]
+        });
+
+        var t = new Thing({ name: 'a' });
+        t.save(function(error) {
+            error.should.eql({ full: true });
+            t.isNew().should.equal(false);
+            done();
+        });
+    });
+
+    describe('file sink', function() {
+        var root, file;
+
+        beforeEach(function() {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'mnovnoc-'));
+            file = path.join(root, 'audit.log');
+        });
+
+        afterEach(function() {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+            fs.rmdirSync(root);
+        });
+
+        it('a file is required', function(done) {
+            (function() {
+                auditSinks.file({});
+            }).should.throw();
+            done();
+        });
+
+        it('entries are appended and read back', function(done) {
+            var fileSink = auditSinks.file({ file: file }),
+                Thing = Model.derive({
+                    data: data,
+                    mixins: [mixins.audit({ type: 'Thing', sink: fileSink })]
+                }),
+                t = new Thing({ name: 'a' });
+
+            t.history(function(error, entries) {
+                should.not.exist(error);
+                entries.length.should.equal(0);
+
+                t.save({ actor: 'frank' }, function(error) {
+                    should.not.exist(error);
+                    t.set('name', 'b');
+                    t.save(function(error) {
+                        should.not.exist(error);
+                        fs.readFileSync(file, 'utf8').split('\n').length.should.equal(3);
+
+                        t.history(function(error, entries) {
+                            should.not.exist(error);
+                            entries.length.should.equal(2);
+                            entries[0].actor.should.equal('frank');
+                            (entries[0].at instanceof Date).should.equal(true);
+                            entries[1].changes.should.eql({ name: { from: 'a', to: 'b' } });
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,241 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters,
+    caches = require('../').caches,
+    UnitOfWork = require('../').UnitOfWork,
+    eventStores = require('../').eventStores,
+    mixins = require('../').mixins;
+
+describe('lru cache', function() {
+    it('the least recently used item is dropped', function(done) {
+        var cache = caches.lru({ max: 2 });
+        cache.set('a', 1, function() {
+            cache.set('b', 2, function() {
+                cache.get('a', function(error, value) {
+                    value.should.equal(1);
+                    cache.set('c', 3, function() {
+                        cache.size().should.equal(2);
+                        cache.get('b', function(error, value) {
+                            should.not.exist(value);
+                            cache.del('a', function() {
+                                cache.get('a', function(error, value) {
+                                    should.not.exist(value);
+                                    cache.get('c', function(error, value) {
+                                        value.should.equal(3);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+describe('cached adapter', function() {
+    var memory, cache, fetches, time, Person;
+
+    beforeEach(function() {
+        memory = adapters.memory();
+        memory.seed([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+
+        fetches = 0;
+        var fetch = memory.fetch;
+        memory.fetch = function(model, options, callback) {
+            ++fetches;
+            fetch(model, options, callback);
+        };
+
+        time = 100000;
+        cache = caches.lru();
+        Person = Model.derive({
+            data: adapters.cached(memory, {
+                cache: cache,
+                ttl: 1000,
+                type: 'person',
+                now: function() { return new Date(time); }
+            })
+        });
+    });
+
+    it('fetch uses the cached data', function(done) {
+        Person.findById(1, function(error, p) {
+            should.not.exist(error);
+            p.name.should.equal('frank');
+            p.refreshedAt.getTime().should.equal(100000);
+
+            time += 500;
+            Person.findById(1, function(error, p) {
+                should.not.exist(error);
+                p.name.should.equal('frank');
+                p.hasChanged().should.equal(false);
+                fetches.should.equal(1);
+
+                // refreshedAt is when the data was loaded, not now
+                p.refreshedAt.getTime().should.equal(100000);
+                done();
+            });
+        });
+    });
+
+    it('cached data expires after the ttl', function(done) {
+        Person.findById(1, function() {
+            time += 1001;
+            Person.findById(1, function(error, p) {
+                should.not.exist(error);
+                fetches.should.equal(2);
+                p.refreshedAt.getTime().should.equal(101001);
+                done();
+            });
+        });
+    });
+
+    it('maxAge limits how old the data can be', function(done) {
+        Person.findById(1, function() {
+            time += 200;
+            Person.findById(1, { maxAge: 300 }, function() {
+                fetches.should.equal(1);
+                Person.findById(1, { maxAge: 100 }, function() {
+                    fetches.should.equal(2);
+                    Person.findById(1, { maxAge: 0 }, function() {
+                        fetches.should.equal(3);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('save refreshes the cached data', function(done) {
+        Person.findById(1, function(error, p) {
+            p.set('name', 'pete');
+            p.save(function(error) {
+                should.not.exist(error);
+
+                Person.findById(1, function(error, p) {
+                    p.name.should.equal('pete');
+                    fetches.should.equal(1);
+
+                    var created = new Person({ name: 'new' });
+                    created.save(function(error) {
+                        should.not.exist(error);
+                        Person.findById(created.id, function(error, p) {
+                            p.name.should.equal('new');
+                            fetches.should.equal(1);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('destroy and failed writes remove the cached data', function(done) {
+        Person.findById(1, function(error, p) {
+            p.destroy(function(error) {
+                should.not.exist(error);
+                cache.size().should.equal(0);
+
+                Person.findById(1, function(error) {
+                    error.notFound.should.equal(true);
+
+                    Person.findById(2, function(error, bob) {
+                        memory.reset();
+                        bob.set('name', 'pete');
+                        bob.save(function(error) {
+                            error.notFound.should.equal(true);
+                            cache.size().should.equal(0);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('fetching an earlier version skips the cache', function(done) {
+        var Account = Model.derive({
+                data: adapters.cached(adapters.eventSourced({ store: eventStores.memory() }))
+            }),
+            a = new Account({ balance: 1 });
+
+        a.save(function(error) {
+            should.not.exist(error);
+            a.set('balance', 2);
+            a.save(function(error) {
+                should.not.exist(error);
+
+                Account.findById(a.id, { asOf: { version: 1 } }, function(error, old) {
+                    should.not.exist(error);
+                    old.balance.should.equal(1);
+
+                    Account.findById(a.id, function(error, current) {
+                        should.not.exist(error);
+                        current.balance.should.equal(2);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('data written in a transaction is only cached once it commits', function(done) {
+        Person.findById(1, function(error, frank) {
+            var missing = new Person({ id: 99 }),
+                work = new UnitOfWork();
+
+            frank.set('name', 'changed');
+            missing.set('name', 'nobody');
+            work.add([frank, missing]).commit(function(error) {
+                error.modelErrors[0].model.should.equal(missing);
+                memory.all()[0].name.should.equal('frank');
+
+                Person.findById(1, function(error, p) {
+                    should.not.exist(error);
+                    p.name.should.equal('frank');
+                    fetches.should.equal(2);
+
+                    p.set('name', 'pete');
+                    new UnitOfWork().add(p).commit(function(error) {
+                        should.not.exist(error);
+                        Person.findById(1, function(error, p) {
+                            p.name.should.equal('pete');
+                            fetches.should.equal(2);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('mixins that wrap fetch keep refreshedAt', function(done) {
+        var Deletable = Model.derive({
+            mixins: [mixins.softDelete()],
+            data: adapters.cached(memory, {
+                now: function() { return new Date(time); }
+            })
+        });
+
+        Deletable.findById(1, function(error) {
+            should.not.exist(error);
+            time += 500;
+            Deletable.findById(1, function(error, p) {
+                should.not.exist(error);
+                fetches.should.equal(1);
+                p.refreshedAt.getTime().should.equal(100000);
+                done();
+            });
+        });
+    });
+
+    it('other data functions are passed through', function(done) {
+        Person.find({ name: 'bob' }, function(error, people) {
+            should.not.exist(error);
+            people[0].id.should.equal(2);
+            done();
+        });
+    });
+});
@@ -0,0 +1,156 @@
+var should = require('should'),
+    Model = require('../').Model,
+    Collection = require('../').Collection;
+
+describe('collection', function() {
+    var Person = Model.derive({});
+
+    it('plain objects are turned in to instances of the model type', function(done) {
+        var People = Collection.derive({ model: Person });
+        var people = new People([{ name: 'frank' }, { name: 'bob' }]);
+
+        people.length.should.equal(2);
+        (people.at(0) instanceof Person).should.equal(true);
+        people.at(0).name.should.equal('frank');
+        people.at(1).name.should.equal('bob');
+        done();
+    });
+
+    it('model type can be passed in the options', function(done) {
+        var people = new Collection([{ name: 'frank' }], { model: Person });
+        (people.at(0) instanceof Person).should.equal(true);
+        done();
+    });
+
+    it('can add, get and remove models by id', function(done) {
+        var people = new Collection([], { model: Person });
+        var frank = new Person({ id: 1, name: 'frank' });
+
+        people.add(frank);
+        people.add({ id: 2, name: 'bob' });
+        people.length.should.equal(2);
+        people.get(1).should.equal(frank);
+        people.get(2).name.should.equal('bob');
+        should.not.exist(people.get(3));
+
+        // Models with the same id are only added once
+        people.add({ id: 2, name: 'bob' });
+        people.length.should.equal(2);
+
+        people.remove(2).name.should.equal('bob');
+        people.remove(frank).should.equal(frank);
+        people.length.should.equal(0);
+        should.not.exist(people.remove(1));
+        done();
+    });
+
+    it('iteration helpers proxy to the models', function(done) {
+        var people = new Collection([{ age: 10 }, { age: 20 }, { age: 30 }], { model: Person });
+
+        people.map(function(p) { return p.age; }).should.eql([10, 20, 30]);
+        people.filter(function(p) { return p.age > 15; }).length.should.equal(2);
+        people.find(function(p) { return p.age === 20; }).should.equal(people.at(1));
+        people.reduce(function(total, p) { return total + p.age; }, 0).should.equal(60);
+
+        var count = 0;
+        people.forEach(function() { ++count; });
+        count.should.equal(3);
+        done();
+    });
+
+    it('add and remove events are raised', function(done) {
+        var people = new Collection([], { model: Person }),
+            added, removed;
+
+        people.on('add', function(model) { added = model; });
+        people.on('remove', function(model) { removed = model; });
+
+        var p = people.add({ name: 'frank' });
+        added.should.equal(p);
+        people.remove(p);
+        removed.should.equal(p);
+        done();
+    });
+
+    it('fetch without a data.fetch implementation returns notImplemented', function(done) {
+        var people = new Collection();
+        people.fetch(function(error) {
+            error.notImplemented.should.equal(true);
+            done();
+        });
+    });
+
+    it('fetch builds clean models from the backing store', function(done) {
+        var fetchOptions;
+        var People = Collection.derive({
+            model: Person,
+            data: {
+                fetch: function(collection, options, callback) {
+                    fetchOptions = options;
+                    process.nextTick(function() {
+                        callback(null, [{ id: 1, name: 'frank' }, { name: 'bob' }]);
+                    });
+                }
+            }
+        });
+
+        var people = new People([{ name: 'old' }]),
+            options = {};
+        people.fetch(options, function(error) {
+            should.not.exist(error);
+            fetchOptions.should.equal(options);
+            people.length.should.equal(2);
+            people.at(0).name.should.equal('frank');
+            people.forEach(function(p) {
+                (p instanceof Person).should.equal(true);
+                p.hasChanged().should.equal(false);
+                should.exist(p.refreshedAt);
+            });
+            should.exist(people.refreshedAt);
+            done();
+        });
+    });
+
+    it('failed fetch leaves the collection untouched', function(done) {
+        var error = {};
+        var People = Collection.derive({
+            model: Person,
+            data: {
+                fetch: function(collection, options, callback) {
+                    callback(error);
+                }
+            }
+        });
+
+        var people = new People([{ name: 'frank' }]);
+        people.fetch(function(_error) {
+            _error.should.equal(error);
+            people.length.should.equal(1);
+            should.not.exist(people.refreshedAt);
+            done();
+        });
+    });
+
+    it('init is called with the constructor arguments', function(done) {
+        var initModels;
+        var People = Collection.derive({
+            init: function(models) {
+                initModels = models;
+            }
+        });
+
+        var models = [];
+        new People(models);
+        initModels.should.equal(models);
+        done();
+    });
+});
+
+describe('collection toJson', function() {
+    it('returns the toJson of each model', function(done) {
+        var people = new Collection([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+        people.toJson({ only: ['name'] }).should.eql([{ name: 'frank' }, { name: 'bob' }]);
+        JSON.parse(JSON.stringify(people)).should.eql([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+        done();
+    });
+});
@@ -0,0 +1,127 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('computed attributes', function() {
+    var data = adapters.memory(),
+        calls,
+        Person = Model.derive({
+            data: data,
+            attributes: {
+                firstName: {},
+                lastName: {}
+            },
+            computed: {
+                fullName: {
+                    deps: ['firstName', 'lastName'],
+                    get: function() {
+                        ++calls;
+                        return this.firstName + ' ' + this.lastName;
+                    },
+                    json: true
+                },
+                shout: {
+                    deps: ['fullName'],
+                    get: function() {
+                        return this.fullName.toUpperCase();
+                    }
+                }
+            }
+        });
+
+    beforeEach(function() {
+        calls = 0;
+        data.reset();
+    });
+
+    it('must have a get function', function(done) {
+        (function() {
+            Model.derive({ computed: { nope: { deps: ['a'] } } });
+        }).should.throw();
+        done();
+    });
+
+    it('values are cached until a dependency changes', function(done) {
+        var p = new Person({ firstName: 'frank', lastName: 'smith' });
+        p.fullName.should.equal('frank smith');
+        p.fullName.should.equal('frank smith');
+        calls.should.equal(1);
+
+        p.set('firstName', 'bob');
+        p.fullName.should.equal('bob smith');
+        calls.should.equal(2);
+
+        // Chained computed attributes are recomputed too
+        p.shout.should.equal('BOB SMITH');
+        p.lastName = 'jones';
+        p.shout.should.equal('BOB JONES');
+        done();
+    });
+
+    it('change events are emitted when a dependency changes', function(done) {
+        var p = new Person({ firstName: 'frank', lastName: 'smith' }),
+            events = [];
+
+        p.on('change:fullName', function(model, value, previous) {
+            events.push([value, previous]);
+        });
+        p.on('change', function(model, field) {
+            events.push(field);
+        });
+
+        p.set('firstName', 'bob');
+        events.should.eql([
+            'firstName',
+            ['bob smith', 'frank smith'],
+            'fullName',
+            'shout'
+        ]);
+        done();
+    });
+
+    it('are not changes or data, only in toJson when asked for', function(done) {
+        var p = new Person({ firstName: 'frank', lastName: 'smith' });
+        p.changed().should.eql({ firstName: 'frank', lastName: 'smith' });
+
+        p.toJson().should.eql({ firstName: 'frank', lastName: 'smith', fullName: 'frank smith' });
+        p.toJson({ computed: false }).should.eql({ firstName: 'frank', lastName: 'smith' });
+        p.toJson({ computed: true }).shout.should.equal('FRANK SMITH');
+        p.toJson({ only: ['lastName'] }).should.eql({ lastName: 'smith' });
+
+        p.save(function(error) {
+            should.not.exist(error);
+            data.all().should.eql([{ id: 1, firstName: 'frank', lastName: 'smith' }]);
+            done();
+        });
+    });
+
+    it('are read only', function(done) {
+        var p = new Person({ firstName: 'frank', lastName: 'smith', fullName: 'someone else' });
+        p.fullName.should.equal('frank smith');
+
+        p.set('fullName', 'nope');
+        p.fullName.should.equal('frank smith');
+        p.changed().should.not.have.property('fullName');
+        done();
+    });
+
+    it('are inherited', function(done) {
+        var Employee = Person.derive({
+            computed: {
+                badge: {
+                    deps: ['fullName', 'id'],
+                    get: function() {
+                        return this.id + ': ' + this.fullName;
+                    }
+                }
+            }
+        });
+
+        var e = new Employee({ id: 5, firstName: 'frank', lastName: 'smith' });
+        e.fullName.should.equal('frank smith');
+        e.badge.should.equal('5: frank smith');
+        e.firstName = 'bob';
+        e.badge.should.equal('5: bob smith');
+        done();
+    });
+});
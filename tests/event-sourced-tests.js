@@ -0,0 +1,242 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters,
+    eventStores = require('../').eventStores;
+
+describe('event sourced adapter', function() {
+    var store, data, Account, nextId, time;
+
+    beforeEach(function() {
+        nextId = 1;
+        time = 1000;
+        store = eventStores.memory();
+        data = adapters.eventSourced({
+            store: store,
+            type: 'account',
+            generateId: function() { return nextId++; },
+            now: function() { return new Date(time++); }
+        });
+        Account = Model.derive({ data: data });
+    });
+
+    function events(id, callback) {
+        store.events('account:' + id, function(error, events) {
+            callback(events);
+        });
+    }
+
+    it('a store is required', function(done) {
+        (function() {
+            adapters.eventSourced({});
+        }).should.throw();
+        done();
+    });
+
+    it('save appends create and update events', function(done) {
+        var a = new Account({ owner: 'frank', balance: 0, address: { city: 'Seattle' } });
+        a.save(function(error) {
+            should.not.exist(error);
+            a.id.should.equal(1);
+
+            a.set('balance', 10);
+            a.address.city = 'Portland';
+            a.save(function(error) {
+                should.not.exist(error);
+
+                // Nothing changed, so nothing is appended
+                a.save(function(error) {
+                    should.not.exist(error);
+
+                    events(1, function(events) {
+                        events.length.should.equal(2);
+                        events[0].version.should.equal(1);
+                        events[0].type.should.equal('create');
+                        events[0].changes.should.eql({
+                            owner: 'frank', balance: 0, address: { city: 'Seattle' }, id: 1
+                        });
+                        events[1].type.should.equal('update');
+                        events[1].changes.should.eql({ address: { city: 'Portland' }, balance: 10 });
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('fetch replays the events through set', function(done) {
+        var a = new Account({ owner: 'frank', balance: 0 });
+        a.save(function() {
+            a.set('balance', 10);
+            a.save(function() {
+                a.set('balance', 25);
+                a.save(function() {
+                    var b = new Account({ id: 1 }),
+                        balances = [];
+                    b.on('change:balance', function(model, value) {
+                        balances.push(value);
+                    });
+
+                    b.fetch(function(error) {
+                        should.not.exist(error);
+                        balances.should.eql([0, 10, 25]);
+                        b.toJson().should.eql({ id: 1, owner: 'frank', balance: 25 });
+                        b.hasChanged().should.equal(false);
+
+                        data.history(1, function(error, events) {
+                            events.length.should.equal(3);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('models can be loaded as of a version or time', function(done) {
+        var a = new Account({ balance: 0 });
+        a.save(function() {
+            a.set('balance', 10);
+            a.save(function() {
+                a.set('balance', 25);
+                a.save(function() {
+                    Account.findById(1, { asOf: { version: 2 } }, function(error, b) {
+                        should.not.exist(error);
+                        b.balance.should.equal(10);
+
+                        // The first event was at 1000, the second at 1001
+                        Account.findById(1, { asOf: { at: new Date(1000) } }).then(function(c) {
+                            c.balance.should.equal(0);
+                            return Account.findById(1, { asOf: { at: new Date(0) } });
+                        }).then(function() {
+                            done(new Error('should not have been found'));
+                        }, function(error) {
+                            error.notFound.should.equal(true);
+                            done();
+                        }).catch(done);
+                    });
+                });
+            });
+        });
+    });
+
+    it('fetching an earlier version removes fields added since', function(done) {
+        var a = new Account({ name: 'a' });
+        a.save(function(error) {
+            should.not.exist(error);
+            a.set('nickname', 'nick');
+            a.save(function(error) {
+                should.not.exist(error);
+
+                a.fetch({ asOf: { version: 1 } }, function(error) {
+                    should.not.exist(error);
+                    a.toData().should.eql({ name: 'a', id: 1 });
+                    a.hasChanged().should.equal(false);
+
+                    a.fetch(function(error) {
+                        should.not.exist(error);
+                        a.toData().should.eql({ name: 'a', id: 1, nickname: 'nick' });
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('snapshots are taken and replayed from', function(done) {
+        data = adapters.eventSourced({
+            store: store,
+            snapshotEvery: 2,
+            generateId: function() { return 'a'; }
+        });
+        Account = Model.derive({ data: data });
+
+        var amounts = [1, 2, 3, 4, 5],
+            a = new Account({ balance: 0 });
+        a.save(function save(error) {
+            should.not.exist(error);
+            var amount = amounts.shift();
+            if (amount === undefined) {
+                return check();
+            }
+            a.set('balance', amount);
+            a.save(save);
+        });
+
+        function check() {
+            store.snapshots('a', function(error, snapshots) {
+                snapshots.map(function(s) { return s.version; }).should.eql([2, 4, 6]);
+
+                // Only the events after the snapshot are replayed
+                var b = new Account({ id: 'a' }),
+                    balances = [];
+                b.on('change:balance', function(model, value) {
+                    balances.push(value);
+                });
+                b.fetch(function(error) {
+                    should.not.exist(error);
+                    b.balance.should.equal(5);
+                    balances.should.eql([5]);
+
+                    Account.findById('a', { asOf: { version: 3 } }, function(error, c) {
+                        should.not.exist(error);
+                        c.balance.should.equal(2);
+                        done();
+                    });
+                });
+            });
+        }
+    });
+
+    it('destroy appends a destroy event', function(done) {
+        var a = new Account({ balance: 0 });
+        a.save(function() {
+            a.destroy(function(error) {
+                should.not.exist(error);
+                Account.findById(1, function(error) {
+                    error.notFound.should.equal(true);
+
+                    // The history is still there
+                    Account.findById(1, { asOf: { version: 1 } }, function(error, b) {
+                        should.not.exist(error);
+                        b.balance.should.equal(0);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('missing models are not found', function(done) {
+        var a = new Account({ id: 5 });
+        a.fetch(function(error) {
+            error.notFound.should.equal(true);
+            a.set('balance', 5);
+            a.save(function(error) {
+                error.notFound.should.equal(true);
+                a.destroy(function(error) {
+                    error.notFound.should.equal(true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('versions are checked', function(done) {
+        var Versioned = Model.derive({ data: data, versionField: 'version' }),
+            a = new Versioned({ balance: 0 });
+
+        a.save(function() {
+            var stale = new Versioned({ id: 1, balance: 0, version: 1 });
+            a.set('balance', 10);
+            a.save(function(error) {
+                should.not.exist(error);
+                stale.set('balance', 20);
+                stale.save(function(error) {
+                    error.conflict.should.equal(true);
+                    error.current.balance.should.equal(10);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,142 @@
+var should = require('should'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('file adapter', function() {
+    var root, directory, Person;
+
+    beforeEach(function() {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'mnovnoc-'));
+        directory = path.join(root, 'people');
+        Person = Model.derive({
+            attributes: { name: {}, password: { hidden: true } },
+            data: adapters.file({ directory: directory })
+        });
+    });
+
+    afterEach(function() {
+        if (fs.existsSync(directory)) {
+            fs.readdirSync(directory).forEach(function(file) {
+                fs.unlinkSync(path.join(directory, file));
+            });
+            fs.rmdirSync(directory);
+        }
+        fs.rmdirSync(root);
+    });
+
+    function readItem(id) {
+        return JSON.parse(fs.readFileSync(path.join(directory, id + '.json'), 'utf8'));
+    }
+
+    it('a directory is required', function(done) {
+        (function() {
+            adapters.file({});
+        }).should.throw();
+        done();
+    });
+
+    it('create writes one file per id', function(done) {
+        var p = new Person({ name: 'frank', password: 'secret' });
+        p.save(function(error) {
+            should.not.exist(error);
+            should.exist(p.id);
+            readItem(p.id).should.eql({ id: p.id, name: 'frank', password: 'secret' });
+
+            // No temporary files are left behind
+            fs.readdirSync(directory).should.eql([p.id + '.json']);
+            done();
+        });
+    });
+
+    it('fetch, update and destroy', function(done) {
+        var p = new Person({ name: 'frank' });
+        p.save(function(error) {
+            var copy = new Person({ id: p.id });
+            copy.fetch(function(error) {
+                should.not.exist(error);
+                copy.name.should.equal('frank');
+                copy.hasChanged().should.equal(false);
+
+                copy.name = 'bob';
+                copy.save(function(error) {
+                    should.not.exist(error);
+                    readItem(p.id).name.should.equal('bob');
+
+                    copy.destroy(function(error) {
+                        should.not.exist(error);
+                        fs.readdirSync(directory).length.should.equal(0);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('missing ids return notFound', function(done) {
+        var p = new Person({ id: 'nope', name: 'frank' });
+        p.fetch(function(error) {
+            error.notFound.should.equal(true);
+
+            p.name = 'bob';
+            p.save(function(error) {
+                error.notFound.should.equal(true);
+
+                p.destroy(function(error) {
+                    error.notFound.should.equal(true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('io errors are reported with ioError', function(done) {
+        fs.mkdirSync(directory);
+        fs.writeFileSync(path.join(directory, 'bad.json'), '{ not json');
+
+        new Person({ id: 'bad' }).fetch(function(error) {
+            error.ioError.should.equal(true);
+            done();
+        });
+    });
+
+    it('custom id generation', function(done) {
+        var Thing = Model.derive({
+            data: adapters.file({
+                directory: directory,
+                generateId: function() {
+                    return 42;
+                }
+            })
+        });
+
+        var t = new Thing({ name: 'x' });
+        t.save(function(error) {
+            should.not.exist(error);
+            t.id.should.equal(42);
+            readItem(42).name.should.equal('x');
+            done();
+        });
+    });
+
+    it('find reads the matching files', function(done) {
+        Person.find(function(error, people) {
+            // Nothing saved yet, so there is no directory
+            should.not.exist(error);
+            people.length.should.equal(0);
+
+            new Person({ name: 'frank' }).save(function(error) {
+                new Person({ name: 'bob' }).save(function(error) {
+                    Person.find({ name: 'bob' }, function(error, people) {
+                        should.not.exist(error);
+                        people.length.should.equal(1);
+                        people[0].name.should.equal('bob');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('finders', function() {
+    var data = adapters.memory(),
+        Person = Model.derive({
+            attributes: { name: {}, age: {}, team: {} },
+            data: data
+        });
+
+    beforeEach(function() {
+        data.reset();
+        data.seed([
+            { id: 1, name: 'frank', age: 50, team: 'red' },
+            { id: 2, name: 'bob', age: 30, team: 'blue' },
+            { id: 3, name: 'pete', age: 40, team: 'red' },
+            { id: 4, name: 'anne', age: 20 }
+        ]);
+    });
+
+    function names(people) {
+        return people.map(function(p) { return p.name; });
+    }
+
+    it('findById fetches the model', function(done) {
+        Person.findById(2, function(error, p) {
+            should.not.exist(error);
+            (p instanceof Person).should.equal(true);
+            p.name.should.equal('bob');
+            p.hasChanged().should.equal(false);
+            should.exist(p.refreshedAt);
+
+            Person.findById(99, function(error, p) {
+                error.notFound.should.equal(true);
+                should.not.exist(p);
+                done();
+            });
+        });
+    });
+
+    it('find returns clean models matching the criteria', function(done) {
+        Person.find({ team: 'red' }, function(error, people) {
+            should.not.exist(error);
+            names(people).should.eql(['frank', 'pete']);
+            people.forEach(function(p) {
+                (p instanceof Person).should.equal(true);
+                p.hasChanged().should.equal(false);
+                should.exist(p.refreshedAt);
+            });
+            done();
+        });
+    });
+
+    it('find supports sort, limit and offset', function(done) {
+        Person.find({}, { sort: '-age', limit: 2, offset: 1 }, function(error, people) {
+            should.not.exist(error);
+            names(people).should.eql(['pete', 'bob']);
+
+            Person.find({ team: 'red' }, { sort: { name: 'asc' } }, function(error, people) {
+                names(people).should.eql(['frank', 'pete']);
+                done();
+            });
+        });
+    });
+
+    it('null criteria match missing fields', function(done) {
+        Person.find({ team: null }, function(error, people) {
+            names(people).should.eql(['anne']);
+            done();
+        });
+    });
+
+    it('count and exists', function(done) {
+        Person.count({ team: 'red' }, function(error, count) {
+            should.not.exist(error);
+            count.should.equal(2);
+
+            Person.exists({ name: 'bob' }, function(error, exists) {
+                exists.should.equal(true);
+
+                Person.exists({ name: 'nobody' }, function(error, exists) {
+                    exists.should.equal(false);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('finders return promises', function(done) {
+        Person.find().then(function(people) {
+            people.length.should.equal(4);
+            return Person.count();
+        }).then(function(count) {
+            count.should.equal(4);
+            return Person.findById(1);
+        }).then(function(p) {
+            p.name.should.equal('frank');
+            done();
+        }).catch(done);
+    });
+
+    it('count uses data.count when there is one', function(done) {
+        var countQuery;
+        var Thing = Model.derive({
+            data: {
+                count: function(query, options, callback) {
+                    countQuery = query;
+                    callback(null, 42);
+                }
+            }
+        });
+
+        Thing.count({ a: 1 }, function(error, count) {
+            count.should.equal(42);
+            countQuery.where.should.eql({ a: 1 });
+            done();
+        });
+    });
+
+    it('adapters without query return notImplemented', function(done) {
+        var Thing = Model.derive({ data: {} });
+        Thing.find(function(error) {
+            error.notImplemented.should.equal(true);
+
+            Model.find(function(error) {
+                error.notImplemented.should.equal(true);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+var should = require('should'),
+    Model = require('../').Model,
+    Collection = require('../').Collection,
+    adapters = require('../').adapters;
+
+describe('identity map', function() {
+    var people = adapters.memory(),
+        Person = Model.derive({ data: people }),
+        Company = Model.derive({ data: adapters.memory() });
+
+    beforeEach(function() {
+        people.reset();
+        people.seed([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+    });
+
+    it('is off unless a scope is used', function(done) {
+        new Person({ id: 5 }).should.not.equal(new Person({ id: 5 }));
+
+        Person.findById(1, function(error, first) {
+            Person.findById(1, function(error, second) {
+                first.should.not.equal(second);
+                done();
+            });
+        });
+    });
+
+    it('instance returns the instance in the scope', function(done) {
+        var scope = Model.beginScope();
+
+        var p = scope.instance(Person, { id: 5, name: 'frank' });
+        scope.instance(Person, { id: 5 }).should.equal(p);
+        scope.instance(Person, { id: '5' }).should.equal(p);
+        scope.instance(Person, { id: 6 }).should.not.equal(p);
+        scope.instance(Person, { name: 'new' }).should.not.equal(scope.instance(Person, { name: 'new' }));
+
+        // The properties are not applied to an existing instance
+        scope.instance(Person, { id: 5, name: 'bob' }).name.should.equal('frank');
+
+        // Types are kept apart
+        scope.instance(Company, { id: 5 }).should.not.equal(p);
+        scope.get(Person, 5).should.equal(p);
+
+        Model.endScope(scope);
+        should.not.exist(scope.get(Person, 5));
+        scope.instance(Person, { id: 5 }).should.not.equal(p);
+        should.not.exist(scope.get(Person, 5));
+        done();
+    });
+
+    it('finders return the instances in the scope without losing changes', function(done) {
+        var scope = Model.beginScope(),
+            p = scope.instance(Person, { id: 1 });
+        p.set('name', 'pete');
+
+        Person.find({}, { sort: 'id', scope: scope }, function(error, people) {
+            should.not.exist(error);
+            people[0].should.equal(p);
+            p.changed().should.eql({ name: 'pete' });
+
+            Person.findById(2, { scope: scope }, function(error, bob) {
+                should.not.exist(error);
+                people[1].should.equal(bob);
+                done();
+            });
+        });
+    });
+
+    it('overlapping scopes are kept apart', function(done) {
+        var a = Model.beginScope(),
+            b = Model.beginScope();
+
+        Person.findById(1, { scope: a }, function(error, fromA) {
+            fromA.set('name', 'A');
+
+            Person.findById(1, { scope: b }, function(error, fromB) {
+                fromB.set('name', 'B');
+                fromB.should.not.equal(fromA);
+
+                // Ending one scope leaves the other alone
+                Model.endScope(a);
+                b.instance(Person, { id: 1 }).should.equal(fromB);
+                fromB.name.should.equal('B');
+                should.not.exist(a.get(Person, 1));
+                fromA.name.should.equal('A');
+                done();
+            });
+        });
+    });
+
+    it('collections fetch the instances in the scope', function(done) {
+        var scope = Model.beginScope();
+
+        var People = Collection.derive({
+            model: Person,
+            data: {
+                fetch: function(collection, options, callback) {
+                    callback(null, people.all());
+                }
+            }
+        });
+
+        var p = scope.instance(Person, { id: 2 }),
+            c = new People();
+        c.fetch({ scope: scope }, function(error) {
+            should.not.exist(error);
+            c.get(2).should.equal(p);
+            scope.get(Person, 1).should.equal(c.get(1));
+            done();
+        });
+    });
+
+    it('created models are added and destroyed models removed', function(done) {
+        var scope = Model.beginScope(),
+            p = new Person({ name: 'new' });
+
+        p.save({ scope: scope }, function(error) {
+            should.not.exist(error);
+            scope.instance(Person, { id: p.id }).should.equal(p);
+
+            p.destroy(function(error) {
+                should.not.exist(error);
+                should.not.exist(scope.get(Person, p.id));
+                done();
+            });
+        });
+    });
+
+    it('models can be evicted', function(done) {
+        var scope = Model.beginScope(),
+            p = scope.instance(Person, { id: 1 });
+
+        scope.evict(Person, 1);
+        scope.instance(Person, { id: 1 }).should.not.equal(p);
+
+        p = scope.instance(Person, { id: 2 });
+        Model.evict(p);
+        scope.instance(Person, { id: 2 }).should.not.equal(p);
+
+        p = scope.instance(Person, { id: 3 });
+        scope.clear();
+        scope.instance(Person, { id: 3 }).should.not.equal(p);
+        done();
+    });
+});
@@ -0,0 +1,111 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('memory adapter', function() {
+    var data = adapters.memory(),
+        Person = Model.derive({
+            attributes: {
+                name: {},
+                password: { hidden: true }
+            },
+            data: data
+        });
+
+    beforeEach(function() {
+        data.reset();
+    });
+
+    it('create assigns ids and stores a copy', function(done) {
+        var p = new Person({ name: 'frank', password: 'secret' });
+        p.save(function(error) {
+            should.not.exist(error);
+            p.id.should.equal(1);
+            p.hasChanged().should.equal(false);
+            data.all().should.eql([{ id: 1, name: 'frank', password: 'secret' }]);
+
+            // The stored item is a copy
+            p.name = 'bob';
+            data.all()[0].name.should.equal('frank');
+
+            new Person({ name: 'pete' }).save(function(error) {
+                data.all().length.should.equal(2);
+                data.all()[1].id.should.equal(2);
+                done();
+            });
+        });
+    });
+
+    it('fetch loads a clean model', function(done) {
+        data.seed({ id: 5, name: 'frank' });
+
+        var p = new Person({ id: 5 });
+        p.fetch(function(error) {
+            should.not.exist(error);
+            p.name.should.equal('frank');
+            p.hasChanged().should.equal(false);
+            done();
+        });
+    });
+
+    it('update and destroy change the store', function(done) {
+        data.seed([{ id: 5, name: 'frank' }]);
+
+        var p = new Person({ id: 5, name: 'frank' });
+        p.name = 'bob';
+        p.save(function(error) {
+            should.not.exist(error);
+            data.all()[0].name.should.equal('bob');
+
+            p.destroy(function(error) {
+                should.not.exist(error);
+                data.all().length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it('missing ids return notFound', function(done) {
+        var p = new Person({ id: 99, name: 'frank' });
+        p.fetch(function(error) {
+            error.notFound.should.equal(true);
+
+            p.name = 'bob';
+            p.save(function(error) {
+                error.notFound.should.equal(true);
+
+                p.destroy(function(error) {
+                    error.notFound.should.equal(true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('seed assigns ids after the largest seeded id', function(done) {
+        var seeded = data.seed([{ id: 10, name: 'frank' }, { name: 'bob' }]);
+        seeded[1].id.should.equal(11);
+
+        new Person({ name: 'pete' }).save(function(error) {
+            data.all().map(function(item) { return item.id; }).should.eql([10, 11, 12]);
+            done();
+        });
+    });
+
+    it('custom id generation', function(done) {
+        var Thing = Model.derive({
+            data: adapters.memory({
+                generateId: function() {
+                    return 'abc';
+                }
+            })
+        });
+
+        var t = new Thing({});
+        t.save(function(error) {
+            should.not.exist(error);
+            t.id.should.equal('abc');
+            done();
+        });
+    });
+});
@@ -0,0 +1,238 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('mixins', function() {
+    var calls;
+
+    function recorder(name) {
+        return function(options, callback) {
+            calls.push(name);
+            callback();
+        };
+    }
+
+    var Named = {
+        attributes: {
+            name: { required: true }
+        },
+        defaults: { name: 'unknown', tags: [] },
+        describe: function() {
+            return 'named ' + this.name;
+        },
+        beforeSave: recorder('named beforeSave')
+    };
+
+    var Tagged = {
+        mixins: [Named],
+        attributes: {
+            name: { length: { max: 5 } },
+            tags: {}
+        },
+        defaults: { tags: ['new'] },
+        init: function() {
+            this.initialized = (this.initialized || []).concat(['tagged']);
+        },
+        validate: function(callback) {
+            callback(this.tags.length > 2 ? [{ field: 'tags', rule: 'tags', message: 'too many tags' }] : []);
+        },
+        beforeSave: recorder('tagged beforeSave'),
+        afterCreate: recorder('tagged afterCreate')
+    };
+
+    beforeEach(function() {
+        calls = [];
+    });
+
+    it('mixins contribute properties, the model wins', function(done) {
+        var Person = Model.derive({
+            mixins: [Named],
+            describe: function() {
+                return 'person ' + this.name;
+            }
+        });
+        var Thing = Model.derive({ mixins: [Named] });
+
+        new Person().describe().should.equal('person unknown');
+        new Thing().describe().should.equal('named unknown');
+        Thing.prototype.mixins.should.eql([Named]);
+        done();
+    });
+
+    it('defaults and attributes are merged', function(done) {
+        var Base = Model.derive({ defaults: { age: 0 } }),
+            Person = Base.derive({
+                mixins: [Tagged],
+                attributes: {
+                    email: {}
+                },
+                defaults: { email: 'none' }
+            });
+
+        var p = new Person();
+        p.toJson({ except: ['initialized'] }).should.eql({ age: 0, name: 'unknown', tags: ['new'], email: 'none' });
+        Person.prototype.attributes.name.should.eql({ required: true, length: { max: 5 } });
+
+        // Dependencies are only applied once
+        Person.prototype.mixins.should.eql([Named, Tagged]);
+        done();
+    });
+
+    it('validators combine', function(done) {
+        var Person = Model.derive({
+            mixins: [Tagged],
+            validate: function(callback) {
+                callback(this.name === 'bob' ? [{ field: 'name', rule: 'bob', message: 'no bobs' }] : []);
+            }
+        });
+
+        var p = new Person({ name: 'bob', tags: ['a', 'b', 'c'] });
+        p.validate().then(function(errors) {
+            errors.map(function(error) { return error.rule; }).should.eql(['bob', 'tags']);
+
+            // The attribute rules are still checked without an override
+            var Thing = Model.derive({ mixins: [Tagged] });
+            return new Thing({ name: 'too long', tags: ['a', 'b', 'c'] }).validate();
+        }).then(function(errors) {
+            errors.map(function(error) { return error.rule; }).should.eql(['length', 'tags']);
+            done();
+        }).catch(done);
+    });
+
+    it('hooks and init run for every mixin then the model', function(done) {
+        var Person = Model.derive({
+            data: adapters.memory(),
+            mixins: [Tagged],
+            init: function() {
+                this.initialized = (this.initialized || []).concat(['person']);
+            },
+            beforeSave: recorder('person beforeSave')
+        });
+
+        var p = new Person({ name: 'frank' });
+        p.initialized.should.eql(['tagged', 'person']);
+
+        p.save(function(error) {
+            should.not.exist(error);
+            calls.should.eql([
+                'named beforeSave',
+                'tagged beforeSave',
+                'person beforeSave',
+                'tagged afterCreate'
+            ]);
+            done();
+        });
+    });
+
+    it('a hook error stops the save', function(done) {
+        var Guarded = {
+            beforeSave: function(options, callback) {
+                callback({ message: 'nope' });
+            }
+        };
+        var Person = Model.derive({
+            data: adapters.memory(),
+            mixins: [Guarded],
+            beforeSave: recorder('person beforeSave')
+        });
+
+        new Person().save(function(error) {
+            error.message.should.equal('nope');
+            calls.length.should.equal(0);
+            done();
+        });
+    });
+
+    it('derived models keep the mixin hooks when they override a hook', function(done) {
+        var Person = Model.derive({
+                data: adapters.memory(),
+                mixins: [Tagged],
+                beforeSave: recorder('person beforeSave')
+            }),
+            Employee = Person.derive({
+                beforeSave: recorder('employee beforeSave')
+            }),
+            Manager = Employee.derive({});
+
+        new Manager({ name: 'frank' }).save(function(error) {
+            should.not.exist(error);
+            calls.should.eql([
+                'named beforeSave',
+                'tagged beforeSave',
+                'employee beforeSave',
+                'tagged afterCreate'
+            ]);
+            done();
+        });
+    });
+
+    it('calling through super_ runs the mixins once', function(done) {
+        var Person = Model.derive({
+                data: adapters.memory(),
+                mixins: [Tagged]
+            }),
+            Employee = Person.derive({
+                validate: function(callback) {
+                    Employee.super_.validate.call(this, callback);
+                },
+                beforeSave: function(options, callback) {
+                    calls.push('employee beforeSave');
+                    Employee.super_.beforeSave.call(this, options, callback);
+                }
+            }),
+            Manager = Employee.derive({
+                validate: function(callback) {
+                    Manager.super_.validate.call(this, callback);
+                }
+            });
+
+        new Manager({ name: 'too long', tags: ['a', 'b', 'c'] }).validate(function(errors) {
+            errors.map(function(error) { return error.rule; }).should.eql(['length', 'tags']);
+
+            new Manager({ name: 'frank' }).save(function(error) {
+                should.not.exist(error);
+                calls.should.eql([
+                    'named beforeSave',
+                    'tagged beforeSave',
+                    'employee beforeSave',
+                    'tagged afterCreate'
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('mixins can wrap the data adapter', function(done) {
+        var Logged = {
+            wrapData: function(data) {
+                return {
+                    create: function(model, options, callback) {
+                        calls.push('create');
+                        data.create(model, options, callback);
+                    },
+                    fetch: data.fetch,
+                    update: data.update,
+                    destroy: data.destroy
+                };
+            }
+        };
+
+        var memory = adapters.memory(),
+            Person = Model.derive({ mixins: [Logged], data: memory }),
+            Employee = Person.derive({}),
+            Other = Person.derive({ data: adapters.memory() });
+
+        new Employee().save(function(error) {
+            should.not.exist(error);
+            calls.should.eql(['create']);
+            memory.all().length.should.equal(1);
+
+            // A new adapter is wrapped as well
+            new Other().save(function(error) {
+                should.not.exist(error);
+                calls.should.eql(['create', 'create']);
+                done();
+            });
+        });
+    });
+});
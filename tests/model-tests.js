@@ -1,5 +1,6 @@
 var should = require('should'),
-    Model = require('../').Model;
+    Model = require('../').Model,
+    Utils = require('../').Utils;
 
 // Change this to true to get the versioner to print out
 // extra debug information during the tests
@@ -731,4 +732,679 @@ describe('model', function() {
         done();
     });
 
-});
\ No newline at end of file
+});
+describe('attributes', function() {
+    it('getters and setters are generated for attributes', function(done) {
+        var Person = Model.derive({
+            attributes: {
+                name: { type: 'string' },
+                age: { type: 'number' }
+            }
+        });
+
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.name.should.equal('frank');
+        p.age.should.equal(55);
+        p._name.should.equal('frank');
+        p.hasChanged().should.equal(false);
+
+        p.age = 5;
+        p.age.should.equal(5);
+        p.hasChanged().should.equal(true);
+        p.changed().age.should.equal(5);
+        should.not.exist(p.changed()._age);
+        done();
+    });
+
+    it('set with an attribute name updates the backing field', function(done) {
+        var Person = Model.derive({
+            attributes: { name: {} }
+        });
+
+        var p = new Person({ id: 1 });
+        p.set('name', 'bob');
+        p.name.should.equal('bob');
+        p._name.should.equal('bob');
+        p.changed().name.should.equal('bob');
+        done();
+    });
+
+    it('attribute defaults are merged with defaults', function(done) {
+        var Person = Model.derive({
+            attributes: {
+                name: { default: 'frank' },
+                age: { default: 0 },
+                title: {}
+            },
+            defaults: {
+                age: 21,
+                bio: 'foo'
+            }
+        });
+
+        var p = new Person();
+        p.name.should.equal('frank');
+        p.age.should.equal(21);
+        p.bio.should.equal('foo');
+        should.not.exist(p.title);
+        done();
+    });
+
+    it('attributes are inherited by derived models', function(done) {
+        var Person = Model.derive({
+            attributes: { name: { default: 'frank' } }
+        });
+        var Employee = Person.derive({
+            attributes: { salary: { default: 100 } }
+        });
+
+        var e = new Employee({ id: 1 });
+        e.name.should.equal('frank');
+        e.salary.should.equal(100);
+
+        e.name = 'bob';
+        e.changed().name.should.equal('bob');
+        should.exist(Employee.prototype.attributes.name);
+        should.not.exist(Person.prototype.attributes.salary);
+        done();
+    });
+
+    it('hand written getters and setters are not replaced', function(done) {
+        var Person = Model.derive({
+            attributes: { name: {} },
+            get name() { return 'always frank'; },
+            set name(value) { this.set('_name', value); }
+        });
+
+        var p = new Person({ name: 'bob' });
+        p.name.should.equal('always frank');
+        p._name.should.equal('bob');
+        done();
+    });
+});
+
+describe('toJson', function() {
+    it('returns the data fields without internals', function(done) {
+        var Person = Model.derive({
+            get name() { return this._name; },
+            set name(value) { this.set('_name', value); },
+            greet: function() {}
+        });
+
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.on('foo', function() {});
+        p.refreshedAt = new Date();
+
+        p.toJson().should.eql({ id: 1, name: 'frank', age: 55 });
+        done();
+    });
+
+    it('supports only and except', function(done) {
+        var p = new Model({ id: 1, name: 'frank', age: 55 });
+        p.toJson({ only: ['name', 'age'] }).should.eql({ name: 'frank', age: 55 });
+        p.toJson({ except: ['id'] }).should.eql({ name: 'frank', age: 55 });
+        done();
+    });
+
+    it('hidden attributes are left out unless asked for', function(done) {
+        var User = Model.derive({
+            attributes: {
+                name: {},
+                password: { hidden: true }
+            }
+        });
+
+        var u = new User({ id: 1, name: 'frank', password: 'secret' });
+        u.toJson().should.eql({ id: 1, name: 'frank' });
+        u.toJson({ hidden: true }).should.eql({ id: 1, name: 'frank', password: 'secret' });
+        done();
+    });
+
+    it('JSON.stringify uses toJson', function(done) {
+        var User = Model.derive({
+            attributes: { password: { hidden: true } }
+        });
+
+        var u = new User({ name: 'frank', password: 'secret' });
+        JSON.parse(JSON.stringify(u)).should.eql({ name: 'frank' });
+        done();
+    });
+});
+
+describe('lifecycle events', function() {
+    function recorder(model, names) {
+        var events = [];
+        names.forEach(function(name) {
+            model.on(name, function() {
+                events.push([name].concat(Array.prototype.slice.call(arguments, 1)));
+            });
+        });
+        return events;
+    }
+
+    it('set emits change and change:<field> with the new and old values', function(done) {
+        var Person = Model.derive({
+            attributes: { name: {} }
+        });
+
+        var p = new Person({ id: 1, name: 'frank' }),
+            events = recorder(p, ['change', 'change:name']);
+
+        p.name = 'bob';
+        events.should.eql([
+            ['change:name', 'bob', 'frank'],
+            ['change', 'name', 'bob', 'frank']
+        ]);
+
+        // Setting the same value is not a change
+        p.name = 'bob';
+        events.length.should.equal(2);
+        done();
+    });
+
+    it('create and update emit their event followed by save', function(done) {
+        var Person = Model.derive({
+            data: {
+                create: function(model, options, callback) {
+                    model.id = 1;
+                    callback();
+                },
+                update: function(model, options, callback) {
+                    callback();
+                }
+            }
+        });
+
+        var p = new Person({ name: 'frank' }),
+            events = recorder(p, ['create', 'update', 'save']);
+
+        p.save(function(error) {
+            should.not.exist(error);
+            events.map(function(e) { return e[0]; }).should.eql(['create', 'save']);
+
+            p.save(function(error) {
+                events.map(function(e) { return e[0]; }).should.eql(['create', 'save', 'update', 'save']);
+                done();
+            });
+        });
+    });
+
+    it('fetch and destroy emit events', function(done) {
+        var Person = Model.derive({
+            data: {
+                fetch: function(model, options, callback) {
+                    callback();
+                },
+                destroy: function(model, options, callback) {
+                    callback();
+                }
+            }
+        });
+
+        var p = new Person({ id: 1 }),
+            events = recorder(p, ['fetch', 'destroy']),
+            options = {};
+
+        p.fetch(options, function() {
+            p.destroy(function() {
+                events.map(function(e) { return e[0]; }).should.eql(['fetch', 'destroy']);
+                events[0][1].should.equal(options);
+                done();
+            });
+        });
+    });
+
+    it('validation failures emit invalid with the errors', function(done) {
+        var Person = Model.derive({
+            attributes: { name: { required: true } }
+        });
+
+        var p = new Person({}),
+            events = recorder(p, ['invalid', 'save']);
+
+        p.save(function(error) {
+            events.length.should.equal(1);
+            events[0][0].should.equal('invalid');
+            events[0][1].should.equal(error.validationErrors);
+            done();
+        });
+    });
+
+    it('adapter errors emit error, only when there are listeners', function(done) {
+        var p = new Model({ id: 1 });
+
+        // No error listener, this should not throw
+        p.fetch(function(error) {
+            error.notImplemented.should.equal(true);
+
+            var events = recorder(p, ['error']);
+            p.destroy(function(error) {
+                events.length.should.equal(1);
+                events[0][1].should.equal(error);
+                done();
+            });
+        });
+    });
+});
+
+describe('lifecycle hooks', function() {
+    function hooked(calls, overrides) {
+        var definition = {
+            data: {
+                create: function(model, options, callback) {
+                    calls.push('data.create');
+                    model.id = 1;
+                    callback();
+                },
+                update: function(model, options, callback) {
+                    calls.push('data.update');
+                    callback();
+                },
+                fetch: function(model, options, callback) {
+                    calls.push('data.fetch');
+                    callback();
+                },
+                destroy: function(model, options, callback) {
+                    calls.push('data.destroy');
+                    callback();
+                }
+            },
+            validate: function(callback) {
+                calls.push('validate');
+                callback([]);
+            }
+        };
+
+        [
+            'beforeValidate', 'beforeSave', 'beforeCreate', 'afterCreate', 'beforeUpdate',
+            'afterUpdate', 'afterFetch', 'beforeDestroy', 'afterDestroy'
+        ].forEach(function(name) {
+            definition[name] = function(options, callback) {
+                calls.push(name);
+                callback();
+            };
+        });
+        return Model.derive(Utils.extend(definition, overrides));
+    }
+
+    it('hooks run in order around create, update, fetch and destroy', function(done) {
+        var calls = [],
+            Person = hooked(calls);
+
+        var p = new Person({ name: 'frank' });
+        p.save(function(error) {
+            should.not.exist(error);
+            calls.should.eql(['beforeValidate', 'validate', 'beforeSave', 'beforeCreate', 'data.create', 'afterCreate']);
+
+            calls.length = 0;
+            p.save(function(error) {
+                calls.should.eql(['beforeValidate', 'validate', 'beforeSave', 'beforeUpdate', 'data.update', 'afterUpdate']);
+
+                calls.length = 0;
+                p.fetch(function() {
+                    calls.should.eql(['data.fetch', 'afterFetch']);
+
+                    calls.length = 0;
+                    p.destroy(function() {
+                        calls.should.eql(['beforeDestroy', 'data.destroy', 'afterDestroy']);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('before hooks can change the model before it is saved', function(done) {
+        var calls = [],
+            savedName,
+            Person = hooked(calls, {
+                beforeSave: function(options, callback) {
+                    this.set('name', this.name.toLowerCase());
+                    callback();
+                },
+                data: {
+                    create: function(model, options, callback) {
+                        savedName = model.changed().name;
+                        model.id = 1;
+                        callback();
+                    }
+                }
+            });
+
+        new Person({ name: 'FRANK' }).save(function(error) {
+            should.not.exist(error);
+            savedName.should.equal('frank');
+            done();
+        });
+    });
+
+    it('a before hook error aborts save', function(done) {
+        var calls = [],
+            hookError = { message: 'no way' },
+            Person = hooked(calls, {
+                beforeCreate: function(options, callback) {
+                    callback(hookError);
+                }
+            });
+
+        var p = new Person({ name: 'frank' });
+        p.save(function(error) {
+            error.should.equal(hookError);
+            calls.should.eql(['beforeValidate', 'validate', 'beforeSave']);
+            p.hasChanged().should.equal(true);
+            done();
+        });
+    });
+
+    it('a before hook can abort destroy by returning a rejected promise', function(done) {
+        var calls = [],
+            Person = hooked(calls, {
+                beforeDestroy: function(options) {
+                    return Promise.reject({ protectedRecord: true });
+                }
+            });
+
+        new Person({ id: 1 }).destroy().then(function() {
+            done(new Error('should have failed'));
+        }, function(error) {
+            error.protectedRecord.should.equal(true);
+            calls.should.eql([]);
+            done();
+        });
+    });
+
+    it('after hooks see the changed fields and receive the options', function(done) {
+        var changed, hookOptions,
+            Person = Model.derive({
+                data: {
+                    update: function(model, options, callback) {
+                        callback();
+                    }
+                },
+                afterUpdate: function(options, callback) {
+                    changed = Utils.extend({}, this.changed());
+                    hookOptions = options;
+                    callback();
+                }
+            });
+
+        var p = new Person({ id: 1, name: 'frank' }),
+            options = { actor: 'bob' };
+        p.set('name', 'pete');
+        p.save(options, function(error) {
+            should.not.exist(error);
+            changed.should.eql({ name: 'pete' });
+            hookOptions.should.equal(options);
+            p.hasChanged().should.equal(false);
+            done();
+        });
+    });
+});
+
+describe('previous values', function() {
+    var Person = Model.derive({
+        attributes: { name: {}, age: {} },
+        data: {
+            update: function(model, options, callback) {
+                callback();
+            },
+            fetch: function(model, options, callback) {
+                model.set({ id: model.id, name: 'pete', age: 30 });
+                callback();
+            }
+        }
+    });
+
+    it('previous returns the value from construction with an id', function(done) {
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.name = 'bob';
+        p.name.should.equal('bob');
+        p.previous('name').should.equal('frank');
+        p.previous('age').should.equal(55);
+        p.previousAttributes().should.eql({ id: 1, name: 'frank', age: 55 });
+        done();
+    });
+
+    it('setting a field back to its original value removes it from changed', function(done) {
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.name = 'bob';
+        p.age = 56;
+        p.name = 'frank';
+        p.changed().should.eql({ age: 56 });
+
+        p.age = 55;
+        p.hasChanged().should.equal(false);
+        done();
+    });
+
+    it('revert restores a single field or all changed fields', function(done) {
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.name = 'bob';
+        p.age = 60;
+        p.set('title', 'boss');
+
+        p.revert('name');
+        p.name.should.equal('frank');
+        p.changed().should.eql({ age: 60, title: 'boss' });
+
+        p.revert();
+        p.age.should.equal(55);
+        p.hasChanged().should.equal(false);
+        p.hasOwnProperty('title').should.equal(false);
+        p.toJson().should.eql({ id: 1, name: 'frank', age: 55 });
+        done();
+    });
+
+    it('the snapshot is taken again after save and fetch', function(done) {
+        var p = new Person({ id: 1, name: 'frank', age: 55 });
+        p.name = 'bob';
+        p.save(function(error) {
+            should.not.exist(error);
+            p.previous('name').should.equal('bob');
+
+            p.fetch(function(error) {
+                should.not.exist(error);
+                p.previous('name').should.equal('pete');
+                p.previous('age').should.equal(30);
+                done();
+            });
+        });
+    });
+
+    it('new models have no previous values', function(done) {
+        var p = new Person({ name: 'frank' });
+        should.not.exist(p.previous('name'));
+        p.revert();
+        should.not.exist(p.name);
+        p.hasChanged().should.equal(false);
+        done();
+    });
+});
+
+describe('nested changes', function() {
+    var Person = Model.derive({
+        attributes: { address: {}, tags: {} },
+        data: {
+            update: function(model, options, callback) {
+                callback();
+            }
+        }
+    });
+
+    it('setting an equal object is not a change', function(done) {
+        var p = new Person({ id: 1, address: { city: 'Seattle' }, tags: ['a'] });
+        p.address = { city: 'Seattle' };
+        p.tags = ['a'];
+        p.hasChanged().should.equal(false);
+        done();
+    });
+
+    it('changes inside objects are reported by path', function(done) {
+        var p = new Person({ id: 1, address: { city: 'Seattle', geo: { lat: 1 } } });
+        p.address.city = 'Portland';
+        p.address.geo.lat = 2;
+        p.address.zip = '97201';
+
+        p.hasChanged().should.equal(true);
+        p.changed().should.eql({
+            'address.city': 'Portland',
+            'address.geo.lat': 2,
+            'address.zip': '97201'
+        });
+        done();
+    });
+
+    it('arrays modified in place are reported as the whole array', function(done) {
+        var p = new Person({ id: 1, tags: ['a'] });
+        p.tags.push('b');
+        p.changed().should.eql({ tags: ['a', 'b'] });
+        done();
+    });
+
+    it('saving takes a new snapshot of nested values', function(done) {
+        var p = new Person({ id: 1, address: { city: 'Seattle' } });
+        p.address.city = 'Portland';
+        p.save(function(error) {
+            should.not.exist(error);
+            p.hasChanged().should.equal(false);
+            p.previous('address').should.eql({ city: 'Portland' });
+            done();
+        });
+    });
+
+    it('revert restores nested values', function(done) {
+        var p = new Person({ id: 1, address: { city: 'Seattle' }, tags: ['a'] });
+        p.address.city = 'Portland';
+        p.tags.push('b');
+
+        p.revert('address.city');
+        p.address.should.eql({ city: 'Seattle' });
+        p.changed().should.eql({ tags: ['a', 'b'] });
+
+        p.revert();
+        p.tags.should.eql(['a']);
+        p.hasChanged().should.equal(false);
+        done();
+    });
+
+    it('object defaults are not shared between instances', function(done) {
+        var Tagged = Model.derive({
+            defaults: { tags: [] }
+        });
+
+        var a = new Tagged(), b = new Tagged();
+        a.tags.push('x');
+        b.tags.length.should.equal(0);
+        done();
+    });
+});
+
+describe('optimistic locking', function() {
+    var adapters = require('../').adapters,
+        data = adapters.memory(),
+        Person = Model.derive({
+            versionField: 'version',
+            attributes: { name: {}, version: {} },
+            data: data
+        });
+
+    beforeEach(function() {
+        data.reset();
+    });
+
+    it('create sets the first version and update increments it', function(done) {
+        var p = new Person({ name: 'frank' });
+        p.save(function(error) {
+            should.not.exist(error);
+            p.version.should.equal(1);
+            data.all()[0].version.should.equal(1);
+
+            p.name = 'bob';
+            p.save(function(error) {
+                should.not.exist(error);
+                p.version.should.equal(2);
+                data.all()[0].version.should.equal(2);
+                done();
+            });
+        });
+    });
+
+    it('the expected version is passed to the adapter', function(done) {
+        var updateOptions;
+        var Thing = Model.derive({
+            versionField: 'version',
+            data: {
+                update: function(model, options, callback) {
+                    updateOptions = options;
+                    callback();
+                }
+            }
+        });
+
+        var t = new Thing({ id: 1, version: 4, name: 'x' }),
+            options = { foo: 1 };
+        t.set('name', 'y');
+        t.save(options, function(error) {
+            should.not.exist(error);
+            updateOptions.version.should.eql({ field: 'version', expected: 4 });
+            updateOptions.foo.should.equal(1);
+            should.not.exist(options.version);
+            t.version.should.equal(5);
+            done();
+        });
+    });
+
+    it('a stale version fails with conflict and keeps the changed fields', function(done) {
+        data.seed({ id: 1, name: 'frank', version: 1 });
+
+        var mine = new Person({ id: 1 }),
+            theirs = new Person({ id: 1 });
+
+        mine.fetch(function() {
+            theirs.fetch(function() {
+                theirs.name = 'pete';
+                theirs.save(function(error) {
+                    should.not.exist(error);
+
+                    mine.name = 'bob';
+                    mine.save(function(error) {
+                        error.conflict.should.equal(true);
+                        error.current.should.eql({ id: 1, name: 'pete', version: 2 });
+
+                        // The version is unchanged, and the edits are kept
+                        mine.version.should.equal(1);
+                        mine.changed().should.eql({ name: 'bob' });
+
+                        // Merge and retry
+                        mine.set('version', error.current.version);
+                        mine.save(function(error) {
+                            should.not.exist(error);
+                            data.all()[0].should.eql({ id: 1, name: 'bob', version: 3 });
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('date versions are set to the current time', function(done) {
+        var Thing = Model.derive({
+            versionField: 'updatedAt',
+            data: {
+                update: function(model, options, callback) {
+                    callback();
+                }
+            }
+        });
+
+        var before = new Date(2000, 1, 1),
+            t = new Thing({ id: 1, updatedAt: before });
+        t.set('name', 'x');
+        t.save(function(error) {
+            should.not.exist(error);
+            (t.updatedAt > before).should.equal(true);
+            done();
+        });
+    });
+});
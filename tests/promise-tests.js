@@ -0,0 +1,152 @@
+var should = require('should'),
+    Model = require('../').Model,
+    Collection = require('../').Collection;
+
+describe('promises', function() {
+    it('methods return promises when no callback is passed', function(done) {
+        var Person = Model.derive({
+            data: {
+                create: function(model, options, callback) {
+                    model.id = 1;
+                    callback();
+                },
+                fetch: function(model, options, callback) {
+                    model.set('name', 'frank');
+                    callback();
+                },
+                destroy: function(model, options, callback) {
+                    callback();
+                }
+            }
+        });
+
+        var p = new Person({ name: 'bob' });
+        p.save().then(function(result) {
+            should.not.exist(result);
+            p.id.should.equal(1);
+            p.hasChanged().should.equal(false);
+            return p.fetch();
+        }).then(function() {
+            p.name.should.equal('frank');
+            should.exist(p.refreshedAt);
+            return p.destroy();
+        }).then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('callbacks do not return a promise', function(done) {
+        var p = new Model({ id: 1 });
+        should.not.exist(p.fetch(function() {
+            done();
+        }));
+    });
+
+    it('promises reject with the existing error shapes', function(done) {
+        var p = new Model({});
+        p.fetch().then(function() {
+            done(new Error('should have failed'));
+        }, function(error) {
+            error.notImplemented.should.equal(true);
+
+            var Person = Model.derive({
+                data: {
+                    create: function(model, options, callback) {
+                        callback();
+                    }
+                }
+            });
+            return new Person({}).save();
+        }).then(function() {
+            done(new Error('should have failed'));
+        }, function(error) {
+            error.badImplementation.should.equal(true);
+            done();
+        }).catch(done);
+    });
+
+    it('data methods can return promises', function(done) {
+        var updateOptions;
+        var Person = Model.derive({
+            data: {
+                update: function(model, options) {
+                    updateOptions = options;
+                    return Promise.resolve();
+                },
+                fetch: function(model, options) {
+                    return Promise.reject({ notFound: true });
+                }
+            }
+        });
+
+        var p = new Person({ id: 1, name: 'frank' }),
+            options = {};
+        p.name = 'bob';
+        p.save(options, function(error) {
+            should.not.exist(error);
+            updateOptions.should.equal(options);
+            p.hasChanged().should.equal(false);
+
+            p.fetch(function(error) {
+                error.notFound.should.equal(true);
+                should.not.exist(p.refreshedAt);
+                done();
+            });
+        });
+    });
+
+    it('validate resolves to the errors and can return a promise', function(done) {
+        var Person = Model.derive({
+            attributes: { name: { required: true } }
+        });
+
+        new Person({}).validate().then(function(errors) {
+            errors[0].rule.should.equal('required');
+
+            var User = Model.derive({
+                validate: function() {
+                    return Promise.resolve(['an error']);
+                }
+            });
+            return new User({}).save();
+        }).then(function() {
+            done(new Error('should have failed'));
+        }, function(error) {
+            error.validationErrors.should.eql(['an error']);
+            done();
+        }).catch(done);
+    });
+
+    it('custom validation rules can return promises', function(done) {
+        var Person = Model.derive({
+            attributes: {
+                name: {
+                    custom: function(value) {
+                        return Promise.resolve(value === 'joe' ? 'no joes' : null);
+                    }
+                }
+            }
+        });
+
+        new Person({ name: 'joe' }).validate(function(errors) {
+            errors[0].message.should.equal('no joes');
+            done();
+        });
+    });
+
+    it('collection fetch supports promises', function(done) {
+        var People = Collection.derive({
+            data: {
+                fetch: function(collection, options) {
+                    return Promise.resolve([{ id: 1 }, { id: 2 }]);
+                }
+            }
+        });
+
+        var people = new People();
+        people.fetch().then(function() {
+            people.length.should.equal(2);
+            done();
+        }).catch(done);
+    });
+});
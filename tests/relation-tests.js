@@ -0,0 +1,142 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('relations', function() {
+    var companies = adapters.memory(),
+        people = adapters.memory(),
+        addresses = adapters.memory(),
+        profiles = adapters.memory();
+
+    var Company = Model.derive({ data: companies }),
+        Address = Model.derive({ data: addresses }),
+        Profile = Model.derive({ data: profiles }),
+        Person = Model.derive({
+            data: people,
+            relations: {
+                company: { type: 'belongsTo', model: Company },
+                addresses: { type: 'hasMany', model: Address, foreignKey: 'personId' },
+                profile: { type: 'hasOne', model: function() { return Profile; }, foreignKey: 'personId' }
+            }
+        });
+
+    beforeEach(function() {
+        [companies, people, addresses, profiles].forEach(function(data) {
+            data.reset();
+        });
+        companies.seed([{ id: 1, name: 'acme' }, { id: 2, name: 'initech' }]);
+        people.seed([{ id: 10, name: 'frank', companyId: 1 }, { id: 11, name: 'bob' }]);
+        addresses.seed([
+            { id: 100, personId: 10, city: 'Seattle' },
+            { id: 101, personId: 10, city: 'Portland' },
+            { id: 102, personId: 11, city: 'Boston' }
+        ]);
+        profiles.seed([{ id: 1000, personId: 10, bio: 'hi' }]);
+    });
+
+    it('relations must be declared correctly', function(done) {
+        (function() {
+            Model.derive({ relations: { company: { type: 'nope', model: Company } } });
+        }).should.throw();
+        (function() {
+            Model.derive({ relations: { addresses: { type: 'hasMany', model: Address } } });
+        }).should.throw();
+        done();
+    });
+
+    it('belongsTo loads the related model by foreign key', function(done) {
+        var p = new Person({ id: 10, companyId: 1 });
+        should.not.exist(p.related('company'));
+
+        p.getCompany(function(error, company) {
+            should.not.exist(error);
+            company.name.should.equal('acme');
+            p.related('company').should.equal(company);
+
+            new Person({ id: 11 }).getCompany(function(error, company) {
+                should.not.exist(error);
+                (company === null).should.equal(true);
+                done();
+            });
+        });
+    });
+
+    it('hasMany and hasOne find the models holding this id', function(done) {
+        var p = new Person({ id: 10 });
+        p.getAddresses({ sort: 'city' }, function(error, addresses) {
+            should.not.exist(error);
+            addresses.map(function(a) { return a.city; }).should.eql(['Portland', 'Seattle']);
+
+            p.getProfile().then(function(profile) {
+                profile.bio.should.equal('hi');
+                return new Person({ id: 11 }).getProfile();
+            }).then(function(profile) {
+                (profile === null).should.equal(true);
+                done();
+            }).catch(done);
+        });
+    });
+
+    it('set<Relation> updates the dirty tracked foreign key', function(done) {
+        var p = new Person({ id: 10, companyId: 1 }),
+            initech = new Company({ id: 2, name: 'initech' });
+
+        p.setCompany(initech);
+        p.companyId.should.equal(2);
+        p.changed().should.eql({ companyId: 2 });
+        p.related('company').should.equal(initech);
+
+        // Changing the key directly means the loaded model is stale
+        p.set('companyId', 1);
+        should.not.exist(p.related('company'));
+        done();
+    });
+
+    it('fetch can eager load relations', function(done) {
+        var p = new Person({ id: 10 });
+        p.fetch({ include: ['company', 'addresses'] }, function(error) {
+            should.not.exist(error);
+            p.related('company').name.should.equal('acme');
+            p.related('addresses').length.should.equal(2);
+            should.not.exist(p.related('profile'));
+            done();
+        });
+    });
+
+    it('loaded relations are nested in toJson but not stored', function(done) {
+        var p = new Person({ id: 10 });
+        p.fetch({ include: ['company', 'addresses'] }, function(error) {
+            var json = p.toJson();
+            json.company.should.eql({ id: 1, name: 'acme' });
+            json.addresses.length.should.equal(2);
+            json.addresses[0].personId.should.equal(10);
+
+            p.toJson({ relations: false }).should.eql({ id: 10, name: 'frank', companyId: 1 });
+            p.toJson({ except: ['addresses'] }).should.not.have.property('addresses');
+
+            p.set('name', 'pete');
+            p.save(function(error) {
+                should.not.exist(error);
+                people.all()[0].should.eql({ id: 10, name: 'pete', companyId: 1 });
+                done();
+            });
+        });
+    });
+
+    it('relations are inherited', function(done) {
+        var Employee = Person.derive({
+            relations: {
+                manager: { type: 'belongsTo', model: Person }
+            }
+        });
+
+        var e = new Employee({ id: 20, companyId: 2, managerId: 10 });
+        e.getCompany(function(error, company) {
+            company.name.should.equal('initech');
+            e.getManager(function(error, manager) {
+                manager.name.should.equal('frank');
+                done();
+            });
+        });
+    });
+});
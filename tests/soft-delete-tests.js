@@ -0,0 +1,157 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters,
+    mixins = require('../').mixins;
+
+describe('soft delete', function() {
+    var data = adapters.memory(),
+        time = new Date(2020, 0, 1),
+        Person = Model.derive({
+            data: data,
+            mixins: [mixins.softDelete({ now: function() { return time; } })]
+        });
+
+    beforeEach(function() {
+        data.reset();
+        data.seed([
+            { id: 1, name: 'frank' },
+            { id: 2, name: 'bob', deletedAt: new Date(2019, 0, 1) }
+        ]);
+    });
+
+    it('destroy sets deletedAt and writes it', function(done) {
+        var p = new Person({ id: 1, name: 'frank' }),
+            events = [];
+
+        p.on('destroy', function() {
+            events.push('destroy');
+        });
+        p.on('update', function() {
+            events.push('update');
+        });
+
+        p.isDeleted().should.equal(false);
+        p.destroy(function(error) {
+            should.not.exist(error);
+            p.isDeleted().should.equal(true);
+            p.deletedAt.should.equal(time);
+            p.hasChanged().should.equal(false);
+            events.should.eql(['destroy']);
+            data.all()[0].should.eql({ id: 1, name: 'frank', deletedAt: time });
+            done();
+        });
+    });
+
+    it('destroy only writes the deleted field', function(done) {
+        var Strict = Person.derive({
+                attributes: { name: { required: true } }
+            }),
+            p = new Strict({ id: 1, name: 'frank' });
+
+        p.name = null;
+        p.destroy(function(error) {
+            should.not.exist(error);
+            data.all()[0].should.eql({ id: 1, name: 'frank', deletedAt: time });
+
+            // The edit is still there, unsaved
+            should.not.exist(p.name);
+            p.changed().should.eql({ name: null });
+            done();
+        });
+    });
+
+    it('the destroy hooks run', function(done) {
+        var calls = [],
+            Guarded = Person.derive({
+                beforeDestroy: function(options, callback) {
+                    calls.push('before');
+                    callback(this.name === 'frank' ? { message: 'not frank' } : null);
+                },
+                afterDestroy: function(options, callback) {
+                    calls.push('after');
+                    callback();
+                }
+            });
+
+        new Guarded({ id: 1, name: 'frank' }).destroy(function(error) {
+            error.message.should.equal('not frank');
+            should.not.exist(data.all()[0].deletedAt);
+
+            new Guarded({ id: 1, name: 'pete' }).destroy(function(error) {
+                should.not.exist(error);
+                calls.should.eql(['before', 'before', 'after']);
+                done();
+            });
+        });
+    });
+
+    it('restore clears deletedAt', function(done) {
+        Person.findById(2, { withDeleted: true }, function(error, p) {
+            should.not.exist(error);
+            p.isDeleted().should.equal(true);
+
+            p.restore().then(function() {
+                p.isDeleted().should.equal(false);
+                should.not.exist(data.all()[1].deletedAt);
+                done();
+            }).catch(done);
+        });
+    });
+
+    it('force really destroys the model', function(done) {
+        var p = new Person({ id: 1 });
+        p.destroy({ force: true }, function(error) {
+            should.not.exist(error);
+            data.all().length.should.equal(1);
+            done();
+        });
+    });
+
+    it('finders leave out deleted models', function(done) {
+        Person.find(function(error, people) {
+            should.not.exist(error);
+            people.map(function(p) { return p.id; }).should.eql([1]);
+
+            Person.find({}, { withDeleted: true }, function(error, people) {
+                people.length.should.equal(2);
+
+                Person.count(function(error, count) {
+                    count.should.equal(1);
+
+                    Person.count({}, { withDeleted: true, limit: 1 }, function(error, count) {
+                        should.not.exist(error);
+                        count.should.equal(2);
+
+                        Person.findById(2, function(error) {
+                            error.notFound.should.equal(true);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('deleted models can still be searched for', function(done) {
+        Person.find({ deletedAt: new Date(2019, 0, 1) }, function(error, people) {
+            should.not.exist(error);
+            people.map(function(p) { return p.id; }).should.eql([2]);
+            done();
+        });
+    });
+
+    it('the field name can be changed', function(done) {
+        var Thing = Model.derive({
+            data: data,
+            mixins: [mixins.softDelete({ field: 'removedAt' })]
+        });
+
+        var t = new Thing({ id: 1, name: 'frank' });
+        t.destroy(function(error) {
+            should.not.exist(error);
+            (t.removedAt instanceof Date).should.equal(true);
+            t.isDeleted().should.equal(true);
+            done();
+        });
+    });
+});
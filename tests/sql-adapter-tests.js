@@ -0,0 +1,335 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('sql adapter', function() {
+    var queries, results, Person;
+
+    function fakeQuery(sql, params, callback) {
+        queries.push({ sql: sql, params: params });
+        var result = results.shift();
+        process.nextTick(function() {
+            callback(result instanceof Error ? result : null, result);
+        });
+    }
+
+    beforeEach(function() {
+        queries = [];
+        results = [];
+        Person = Model.derive({
+            attributes: { name: {}, age: {}, address: {} },
+            data: adapters.sql({ table: 'people', query: fakeQuery })
+        });
+    });
+
+    it('table and query are required', function(done) {
+        (function() {
+            adapters.sql({ table: 'people' });
+        }).should.throw();
+        done();
+    });
+
+    it('create inserts the whole model and reads the insert id', function(done) {
+        results.push({ insertId: 7 });
+
+        var p = new Person({ name: 'frank', age: 55, address: { city: 'Seattle' } });
+        p.save(function(error) {
+            should.not.exist(error);
+            p.id.should.equal(7);
+            queries.should.eql([{
+                sql: 'INSERT INTO "people" ("name", "age", "address") VALUES (?, ?, ?)',
+                params: ['frank', 55, '{"city":"Seattle"}']
+            }]);
+            done();
+        });
+    });
+
+    it('update only sets the changed columns', function(done) {
+        results.push({ affectedRows: 1 });
+
+        var p = new Person({ id: 3, name: 'frank', age: 55, address: { city: 'Seattle' } });
+        p.age = 56;
+        p.address.city = 'Portland';
+        p.save(function(error) {
+            should.not.exist(error);
+            queries.should.eql([{
+                sql: 'UPDATE "people" SET "address" = ?, "age" = ? WHERE "id" = ?',
+                params: ['{"city":"Portland"}', 56, 3]
+            }]);
+            done();
+        });
+    });
+
+    it('update is skipped when nothing has changed', function(done) {
+        var p = new Person({ id: 3, name: 'frank' });
+        p.save(function(error) {
+            should.not.exist(error);
+            queries.length.should.equal(0);
+            done();
+        });
+    });
+
+    it('fetch selects by id', function(done) {
+        results.push([{ id: 3, name: 'frank', age: 55 }]);
+
+        var p = new Person({ id: 3 });
+        p.fetch(function(error) {
+            should.not.exist(error);
+            queries[0].should.eql({ sql: 'SELECT * FROM "people" WHERE "id" = ?', params: [3] });
+            p.name.should.equal('frank');
+            p.hasChanged().should.equal(false);
+            done();
+        });
+    });
+
+    it('destroy deletes by id', function(done) {
+        results.push({ changes: 1 });
+
+        new Person({ id: 3 }).destroy(function(error) {
+            should.not.exist(error);
+            queries[0].should.eql({ sql: 'DELETE FROM "people" WHERE "id" = ?', params: [3] });
+            done();
+        });
+    });
+
+    it('missing rows return notFound', function(done) {
+        results.push({ rows: [] }, { rowCount: 0 }, { affectedRows: 0 });
+
+        var p = new Person({ id: 3 });
+        p.fetch(function(error) {
+            error.notFound.should.equal(true);
+
+            p.name = 'bob';
+            p.save(function(error) {
+                error.notFound.should.equal(true);
+
+                p.destroy(function(error) {
+                    error.notFound.should.equal(true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('driver errors are passed through', function(done) {
+        var driverError = new Error('connection lost');
+        results.push(driverError);
+
+        new Person({ id: 3 }).fetch(function(error) {
+            error.should.equal(driverError);
+            done();
+        });
+    });
+
+    it('json columns survive a round trip', function(done) {
+        var Stored = Model.derive({
+            data: adapters.sql({ table: 'people', query: fakeQuery, json: ['address', 'tags'] })
+        });
+
+        var p = new Stored({ address: { city: 'Seattle' }, tags: ['a'] });
+        results.push({ insertId: 1 });
+        p.save(function(error) {
+            should.not.exist(error);
+
+            // The row comes back the way the insert wrote it
+            results.push([{ id: 1, address: queries[0].params[0], tags: queries[0].params[1] }]);
+            Stored.findById(1, function(error, loaded) {
+                should.not.exist(error);
+                loaded.address.should.eql({ city: 'Seattle' });
+                loaded.tags.should.eql(['a']);
+
+                loaded.address.city = 'Portland';
+                results.push({ affectedRows: 1 });
+                loaded.save(function(error) {
+                    should.not.exist(error);
+                    queries[2].params.should.eql(['{"city":"Portland"}', 1]);
+
+                    results.push([{ id: 1, address: { city: 'Boston' }, tags: null }]);
+                    Stored.find({}, function(error, people) {
+                        should.not.exist(error);
+                        people[0].address.should.eql({ city: 'Boston' });
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('placeholders, quoting and returning can be configured', function(done) {
+        results.push({ rows: [{ person_id: 9 }] });
+
+        var Pg = Model.derive({
+            data: adapters.sql({
+                table: 'people',
+                idColumn: 'person_id',
+                returning: true,
+                query: fakeQuery,
+                placeholder: function(index) { return '$' + index; },
+                quoteIdentifier: function(name) { return '`' + name + '`'; }
+            })
+        });
+
+        var p = new Pg({ name: 'frank', age: 5 });
+        p.save(function(error) {
+            should.not.exist(error);
+            p.id.should.equal(9);
+            queries[0].sql.should.equal('INSERT INTO `people` (`name`, `age`) VALUES ($1, $2) RETURNING `person_id`');
+            done();
+        });
+    });
+
+    it('column names are quoted so they cannot inject sql', function(done) {
+        results.push({ insertId: 1 });
+
+        var p = new Person({});
+        p.set('bad" = 1; --', 'x');
+        p.save(function(error) {
+            queries[0].sql.should.equal('INSERT INTO "people" ("bad"" = 1; --") VALUES (?)');
+            done();
+        });
+    });
+});
+
+describe('sql adapter versions', function() {
+    var queries, results, Person;
+
+    function fakeQuery(sql, params, callback) {
+        queries.push({ sql: sql, params: params });
+        var result = results.shift();
+        process.nextTick(function() {
+            callback(null, result);
+        });
+    }
+
+    beforeEach(function() {
+        queries = [];
+        results = [];
+        Person = Model.derive({
+            versionField: 'version',
+            data: adapters.sql({ table: 'people', query: fakeQuery })
+        });
+    });
+
+    it('update checks the expected version', function(done) {
+        results.push({ affectedRows: 1 });
+
+        var p = new Person({ id: 3, name: 'frank', version: 2 });
+        p.set('name', 'bob');
+        p.save(function(error) {
+            should.not.exist(error);
+            queries[0].should.eql({
+                sql: 'UPDATE "people" SET "name" = ?, "version" = ? WHERE "id" = ? AND "version" = ?',
+                params: ['bob', 3, 3, 2]
+            });
+            done();
+        });
+    });
+
+    it('a stale version returns conflict with the current row', function(done) {
+        results.push({ affectedRows: 0 }, [{ id: 3, name: 'pete', version: 5 }]);
+
+        var p = new Person({ id: 3, name: 'frank', version: 2 });
+        p.set('name', 'bob');
+        p.save(function(error) {
+            error.conflict.should.equal(true);
+            error.current.should.eql({ id: 3, name: 'pete', version: 5 });
+            p.version.should.equal(2);
+            done();
+        });
+    });
+
+    it('an unknown number of changed rows is a badImplementation', function(done) {
+        results.push([], []);
+
+        var p = new Person({ id: 3, name: 'frank', version: 2 });
+        p.set('name', 'bob');
+        p.save(function(error) {
+            error.badImplementation.should.equal(true);
+            p.version.should.equal(2);
+
+            p.destroy(function(error) {
+                error.badImplementation.should.equal(true);
+                done();
+            });
+        });
+    });
+
+    it('a missing row is still notFound', function(done) {
+        results.push({ affectedRows: 0 }, []);
+
+        var p = new Person({ id: 3, name: 'frank', version: 2 });
+        p.set('name', 'bob');
+        p.save(function(error) {
+            error.notFound.should.equal(true);
+            done();
+        });
+    });
+});
+
+describe('sql adapter queries', function() {
+    var queries, results, Person;
+
+    function fakeQuery(sql, params, callback) {
+        queries.push({ sql: sql, params: params });
+        var result = results.shift();
+        process.nextTick(function() {
+            callback(null, result);
+        });
+    }
+
+    beforeEach(function() {
+        queries = [];
+        results = [];
+        Person = Model.derive({
+            data: adapters.sql({ table: 'people', query: fakeQuery })
+        });
+    });
+
+    it('find builds a select with where, order, limit and offset', function(done) {
+        results.push([{ id: 1, name: 'frank' }]);
+
+        Person.find({ team: 'red', deletedAt: null }, { sort: ['-age', 'name'], limit: 10, offset: 20 }, function(error, people) {
+            should.not.exist(error);
+            people[0].name.should.equal('frank');
+            people[0].hasChanged().should.equal(false);
+            queries[0].should.eql({
+                sql: 'SELECT * FROM "people" WHERE "team" = ? AND "deletedAt" IS NULL ORDER BY "age" DESC, "name" ASC LIMIT ? OFFSET ?',
+                params: ['red', 10, 20]
+            });
+            done();
+        });
+    });
+
+    it('an offset without a limit uses noLimit', function(done) {
+        results.push([], []);
+
+        var Pg = Model.derive({
+            data: adapters.sql({ table: 'people', query: fakeQuery, noLimit: 'LIMIT ALL' })
+        });
+
+        Person.find({}, { offset: 5 }, function(error) {
+            should.not.exist(error);
+            queries[0].should.eql({ sql: 'SELECT * FROM "people" LIMIT -1 OFFSET ?', params: [5] });
+
+            Pg.find({}, { offset: 5 }, function(error) {
+                should.not.exist(error);
+                queries[1].sql.should.equal('SELECT * FROM "people" LIMIT ALL OFFSET ?');
+                done();
+            });
+        });
+    });
+
+    it('count uses COUNT(*)', function(done) {
+        results.push([{ count: '3' }]);
+
+        Person.count({ team: 'red' }, function(error, count) {
+            should.not.exist(error);
+            count.should.equal(3);
+            queries[0].should.eql({
+                sql: 'SELECT COUNT(*) AS "count" FROM "people" WHERE "team" = ?',
+                params: ['red']
+            });
+            done();
+        });
+    });
+});
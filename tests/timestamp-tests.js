@@ -0,0 +1,75 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters,
+    mixins = require('../').mixins;
+
+describe('timestamps', function() {
+    var data = adapters.memory(),
+        time,
+        Person = Model.derive({
+            data: data,
+            mixins: [mixins.timestamps({ now: function() { return time; } })]
+        });
+
+    beforeEach(function() {
+        data.reset();
+        time = new Date(2020, 0, 1);
+    });
+
+    it('create sets createdAt', function(done) {
+        var p = new Person({ name: 'frank' });
+        p.save(function(error) {
+            should.not.exist(error);
+            p.createdAt.should.equal(time);
+            should.not.exist(p.updatedAt);
+            data.all()[0].should.eql({ id: 1, name: 'frank', createdAt: time });
+            done();
+        });
+    });
+
+    it('update sets updatedAt only if the model has changed', function(done) {
+        var p = new Person({ id: 1, name: 'frank', createdAt: time });
+        data.seed(p.toData());
+
+        time = new Date(2020, 0, 2);
+        p.save(function(error) {
+            should.not.exist(error);
+            should.not.exist(p.updatedAt);
+
+            var updates = [];
+            p.on('change:updatedAt', function(model, value) {
+                updates.push(value);
+            });
+
+            p.set('name', 'bob');
+            p.save(function(error) {
+                should.not.exist(error);
+                updates.length.should.equal(1);
+                updates[0].should.equal(time);
+                p.createdAt.getTime().should.equal(new Date(2020, 0, 1).getTime());
+                data.all()[0].updatedAt.should.equal(time);
+                done();
+            });
+        });
+    });
+
+    it('the field names can be changed', function(done) {
+        var Thing = Model.derive({
+            data: data,
+            mixins: [mixins.timestamps({ createdAt: 'created', updatedAt: false })]
+        });
+
+        var t = new Thing({ name: 'frank' });
+        t.save(function(error) {
+            should.not.exist(error);
+            (t.created instanceof Date).should.equal(true);
+
+            t.set('name', 'bob');
+            t.save(function(error) {
+                should.not.exist(error);
+                Object.keys(data.all()[0]).sort().should.eql(['created', 'id', 'name']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+var should = require('should'),
+    Model = require('../').Model,
+    adapters = require('../').adapters;
+
+describe('attribute types', function() {
+    var Person = Model.derive({
+        attributes: {
+            name: { type: 'string' },
+            height: { type: 'number' },
+            age: { type: 'integer', messages: { type: 'age must be a whole number' } },
+            admin: { type: 'boolean' },
+            born: { type: 'date' },
+            settings: { type: 'json' },
+            point: {
+                cast: function(value) {
+                    if (typeof value !== 'string') {
+                        return value;
+                    }
+                    var parts = value.split(',');
+                    if (parts.length !== 2) {
+                        throw new Error('point must look like x,y');
+                    }
+                    return { x: Number(parts[0]), y: Number(parts[1]) };
+                }
+            },
+            untyped: {}
+        }
+    });
+
+    it('values are cast by the constructor and set', function(done) {
+        var p = new Person({
+            name: 5,
+            height: '1.8',
+            age: '55',
+            admin: 'true',
+            born: '2001-02-03T04:05:06.000Z',
+            settings: '{"theme":"dark"}',
+            point: '1,2',
+            untyped: '5'
+        });
+
+        p.name.should.equal('5');
+        p.height.should.equal(1.8);
+        p.age.should.equal(55);
+        p.admin.should.equal(true);
+        p.born.getTime().should.equal(Date.UTC(2001, 1, 3, 4, 5, 6));
+        p.settings.should.eql({ theme: 'dark' });
+        p.point.should.eql({ x: 1, y: 2 });
+        p.untyped.should.equal('5');
+
+        p.set('admin', '0');
+        p.admin.should.equal(false);
+        p.age = 60;
+        p.age.should.equal(60);
+        p.set('born', 0);
+        p.born.getTime().should.equal(0);
+        done();
+    });
+
+    it('null values are left alone and empty strings become null', function(done) {
+        var p = new Person({ name: '', age: '', admin: null });
+        p.name.should.equal('');
+        (p.age === null).should.equal(true);
+        (p.admin === null).should.equal(true);
+        done();
+    });
+
+    it('the same value in a different type is not a change', function(done) {
+        var p = new Person({ id: 1, age: 55, born: new Date(0) });
+        p.set('age', '55');
+        p.born = '1970-01-01T00:00:00.000Z';
+        p.hasChanged().should.equal(false);
+
+        p.set('age', '56');
+        p.changed().should.eql({ age: 56 });
+        done();
+    });
+
+    it('values that cannot be cast fail validation', function(done) {
+        var p = new Person({ height: 'tall', age: '1.5', admin: 'maybe', born: 'never', point: '1' });
+
+        // The value is kept as it was
+        p.height.should.equal('tall');
+
+        p.validate(function(errors) {
+            errors.should.eql([
+                { field: 'height', rule: 'type', message: 'height must be of type number' },
+                { field: 'age', rule: 'type', message: 'age must be a whole number' },
+                { field: 'admin', rule: 'type', message: 'admin must be of type boolean' },
+                { field: 'born', rule: 'type', message: 'born must be of type date' },
+                { field: 'point', rule: 'type', message: 'point must look like x,y' }
+            ]);
+
+            // Setting a good value clears the error
+            p.set({ height: 2, age: 1, admin: false, born: new Date(), point: '3,4' });
+            p.validate(function(errors) {
+                errors.length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it('save reports cast failures as validation errors', function(done) {
+        var Thing = Model.derive({
+            data: adapters.memory(),
+            attributes: {
+                count: { type: 'integer' }
+            }
+        });
+
+        var t = new Thing({ count: 'lots' });
+        t.save(function(error) {
+            error.validationErrors.should.eql([
+                { field: 'count', rule: 'type', message: 'count must be of type integer' }
+            ]);
+            done();
+        });
+    });
+
+    it('values from the data adapter are cast', function(done) {
+        var data = adapters.memory(),
+            Event = Model.derive({
+                data: data,
+                attributes: {
+                    at: { type: 'date' }
+                }
+            });
+
+        data.seed({ id: 1, at: '2001-02-03T00:00:00.000Z' });
+        Event.findById(1, function(error, e) {
+            should.not.exist(error);
+            (e.at instanceof Date).should.equal(true);
+            e.hasChanged().should.equal(false);
+            done();
+        });
+    });
+});
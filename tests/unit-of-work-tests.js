@@ -0,0 +1,275 @@
+var should = require('should'),
+    Model = require('../').Model,
+    UnitOfWork = require('../').UnitOfWork,
+    adapters = require('../').adapters;
+
+describe('unit of work', function() {
+    var people = adapters.memory(),
+        companies = adapters.memory(),
+        Person = Model.derive({
+            data: people,
+            attributes: {
+                name: { required: true }
+            }
+        }),
+        Company = Model.derive({ data: companies });
+
+    beforeEach(function() {
+        people.reset();
+        companies.reset();
+        people.seed([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+    });
+
+    it('pending sorts the models into creates, updates and destroys', function(done) {
+        var work = new UnitOfWork(),
+            created = new Person({ name: 'new' }),
+            updated = new Person({ id: 1, name: 'frank' }),
+            unchanged = new Person({ id: 2, name: 'bob' }),
+            destroyed = new Person({ id: 3 });
+
+        updated.name = 'pete';
+        work.add([created, updated, unchanged]).remove(destroyed);
+        work.remove(new Person({ name: 'never saved' }));
+
+        var pending = work.pending();
+        pending.create.should.eql([created]);
+        pending.update.should.eql([updated]);
+        pending.destroy.should.eql([destroyed]);
+
+        // Registering again moves the model
+        work.remove(created);
+        work.pending().create.length.should.equal(0);
+        work.add(destroyed);
+        work.pending().destroy.length.should.equal(0);
+        done();
+    });
+
+    it('commit creates, updates and destroys the models', function(done) {
+        var work = new UnitOfWork(),
+            created = new Person({ name: 'new' }),
+            company = new Company({ name: 'acme' }),
+            updated = new Person({ id: 1, name: 'frank' }),
+            destroyed = new Person({ id: 2 }),
+            order = [];
+
+        [created, company, updated, destroyed].forEach(function(model) {
+            ['create', 'update', 'destroy'].forEach(function(event) {
+                model.on(event, function() {
+                    order.push(event);
+                });
+            });
+        });
+
+        updated.name = 'pete';
+        work.add([created, updated, company]);
+        work.remove(destroyed);
+
+        work.commit(function(error) {
+            should.not.exist(error);
+            order.should.eql(['create', 'create', 'update', 'destroy']);
+            people.all().should.eql([{ id: 1, name: 'pete' }, { id: 3, name: 'new' }]);
+            companies.all().should.eql([{ id: 1, name: 'acme' }]);
+            created.hasChanged().should.equal(false);
+            work.pending().should.eql({ create: [], update: [], destroy: [] });
+            done();
+        });
+    });
+
+    it('nothing is written if any model is invalid', function(done) {
+        var work = new UnitOfWork(),
+            valid = new Person({ name: 'new' }),
+            invalid = new Person({}),
+            alsoInvalid = new Person({ id: 1, name: 'frank' });
+
+        alsoInvalid.name = null;
+        work.add([valid, invalid, alsoInvalid]);
+
+        work.commit().then(function() {
+            done(new Error('should have failed'));
+        }, function(error) {
+            error.modelErrors.length.should.equal(2);
+            error.modelErrors[0].model.should.equal(invalid);
+            error.modelErrors[0].operation.should.equal('create');
+            error.modelErrors[0].error.validationErrors[0].field.should.equal('name');
+            error.modelErrors[1].model.should.equal(alsoInvalid);
+            error.modelErrors[1].operation.should.equal('update');
+
+            people.all().length.should.equal(2);
+            valid.isNew().should.equal(true);
+            work.pending().create.length.should.equal(2);
+            done();
+        }).catch(done);
+    });
+
+    it('models are validated once, after beforeValidate', function(done) {
+        var checks = 0,
+            Post = Model.derive({
+                data: adapters.memory(),
+                attributes: {
+                    title: {},
+                    slug: {
+                        required: true,
+                        custom: function(value, model, callback) {
+                            ++checks;
+                            process.nextTick(callback);
+                        }
+                    }
+                },
+                beforeValidate: function(options, callback) {
+                    if (this.title) {
+                        this.slug = this.title.toLowerCase();
+                    }
+                    callback();
+                }
+            }),
+            post = new Post({ title: 'Hello' }),
+            untitled = new Post({});
+
+        new UnitOfWork().add([post, untitled]).commit(function(error) {
+            error.modelErrors.length.should.equal(1);
+            error.modelErrors[0].model.should.equal(untitled);
+            error.modelErrors[0].error.validationErrors[0].field.should.equal('slug');
+
+            checks = 0;
+            new UnitOfWork().add(post).commit(function(error) {
+                should.not.exist(error);
+                post.slug.should.equal('hello');
+                checks.should.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('a failed write rolls back the transactions and the models', function(done) {
+        var work = new UnitOfWork(),
+            created = new Person({ name: 'new' }),
+            company = new Company({ name: 'acme' }),
+            updated = new Person({ id: 1, name: 'frank' }),
+            missing = new Person({ id: 99, name: 'nobody' });
+
+        updated.name = 'pete';
+        missing.name = 'still nobody';
+        work.add([created, company, updated, missing]);
+
+        work.commit(function(error) {
+            error.modelErrors.length.should.equal(1);
+            error.modelErrors[0].model.should.equal(missing);
+            error.modelErrors[0].error.notFound.should.equal(true);
+
+            people.all().should.eql([{ id: 1, name: 'frank' }, { id: 2, name: 'bob' }]);
+            companies.all().should.eql([]);
+
+            created.isNew().should.equal(true);
+            created.toJson().should.eql({ name: 'new' });
+            company.isNew().should.equal(true);
+            updated.changed().should.eql({ name: 'pete' });
+
+            // Once fixed the same work can be committed again
+            work.clear().add([created, company, updated]);
+            work.commit(function(error) {
+                should.not.exist(error);
+                people.all().length.should.equal(3);
+                companies.all().length.should.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('writes without a transaction are kept and reported', function(done) {
+        var data = adapters.memory();
+        delete data.begin;
+        delete data.commit;
+        delete data.rollback;
+
+        var Thing = Model.derive({
+                data: data,
+                beforeCreate: function(options, callback) {
+                    callback(this.name === 'bad' ? { bad: true } : null);
+                }
+            }),
+            work = new UnitOfWork(),
+            good = new Thing({ name: 'good' }),
+            bad = new Thing({ name: 'bad' });
+
+        work.add([good, bad]).commit(function(error) {
+            error.modelErrors[0].model.should.equal(bad);
+            error.written.length.should.equal(1);
+            error.written[0].model.should.equal(good);
+            error.written[0].operation.should.equal('create');
+
+            good.isNew().should.equal(false);
+            good.hasChanged().should.equal(false);
+            bad.isNew().should.equal(true);
+            data.all().should.eql([{ id: 1, name: 'good' }]);
+
+            // A retry only writes what is left
+            bad.name = 'fixed';
+            work.pending().create.should.eql([bad]);
+            work.commit(function(error) {
+                should.not.exist(error);
+                data.all().should.eql([{ id: 1, name: 'good' }, { id: 2, name: 'fixed' }]);
+                done();
+            });
+        });
+    });
+
+    it('the transaction is passed to the data functions', function(done) {
+        var calls = [],
+            data = {
+                begin: function(options, callback) {
+                    calls.push('begin');
+                    callback(null, 'tx');
+                },
+                commit: function(transaction, options, callback) {
+                    calls.push('commit ' + transaction);
+                    callback();
+                },
+                rollback: function(transaction, options, callback) {
+                    calls.push('rollback ' + transaction);
+                    callback();
+                },
+                create: function(model, options, callback) {
+                    calls.push('create ' + options.transaction + ' ' + options.actor);
+                    model.id = calls.length;
+                    callback();
+                },
+                update: function(model, options, callback) {
+                    calls.push('update ' + options.transaction);
+                    callback({ failed: true });
+                }
+            },
+            Thing = Model.derive({ data: data }),
+            work = new UnitOfWork();
+
+        work.add([new Thing({ name: 'a' }), new Thing({ name: 'b' })]);
+        work.commit({ actor: 'frank' }, function(error) {
+            should.not.exist(error);
+            calls.should.eql(['begin', 'create tx frank', 'create tx frank', 'commit tx']);
+
+            var existing = new Thing({ id: 5 });
+            existing.set('name', 'c');
+            calls = [];
+            work.add(existing).commit(function(error) {
+                error.modelErrors[0].error.should.eql({ failed: true });
+                calls.should.eql(['begin', 'update tx', 'rollback tx']);
+                done();
+            });
+        });
+    });
+
+    it('a failed begin writes nothing', function(done) {
+        var data = adapters.memory();
+        data.begin = function(options, callback) {
+            callback({ busy: true });
+        };
+
+        var Thing = Model.derive({ data: data }),
+            work = new UnitOfWork();
+
+        work.add(new Thing({ name: 'a' })).commit(function(error) {
+            error.should.eql({ transactionError: { busy: true } });
+            data.all().length.should.equal(0);
+            done();
+        });
+    });
+});
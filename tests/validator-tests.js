@@ -0,0 +1,139 @@
+var should = require('should'),
+    Model = require('../').Model;
+
+describe('validators', function() {
+    var Person = Model.derive({
+        attributes: {
+            name: { required: true, type: 'string', length: { min: 2, max: 10 } },
+            age: { type: 'integer', min: 0, max: 130 },
+            email: { pattern: /^[^@]+@[^@]+$/ },
+            role: { enum: ['admin', 'user'], messages: { 'enum': 'bad role' } }
+        }
+    });
+
+    function rulesFor(errors, field) {
+        return errors.filter(function(error) {
+            return error.field === field;
+        }).map(function(error) {
+            return error.rule;
+        });
+    }
+
+    it('valid models have no errors', function(done) {
+        var p = new Person({ name: 'frank', age: 55, email: 'f@x.com', role: 'admin' });
+        p.validate(function(errors) {
+            errors.length.should.equal(0);
+            done();
+        });
+    });
+
+    it('required fields must have a value, other rules are skipped', function(done) {
+        var p = new Person({ name: '' });
+        p.validate(function(errors) {
+            errors.length.should.equal(1);
+            errors[0].field.should.equal('name');
+            errors[0].rule.should.equal('required');
+            errors[0].message.should.equal('name is required');
+            done();
+        });
+    });
+
+    it('each rule produces a structured error', function(done) {
+        var p = new Person({ name: 'f', age: 1.5, email: 'nope', role: 'boss' });
+        p.validate(function(errors) {
+            rulesFor(errors, 'name').should.eql(['length']);
+            rulesFor(errors, 'age').should.eql(['type']);
+            rulesFor(errors, 'email').should.eql(['pattern']);
+            rulesFor(errors, 'role').should.eql(['enum']);
+            errors.filter(function(e) { return e.field === 'role'; })[0].message.should.equal('bad role');
+            done();
+        });
+    });
+
+    it('min and max are checked', function(done) {
+        var p = new Person({ name: 'frank', age: 200 });
+        p.validate(function(errors) {
+            rulesFor(errors, 'age').should.eql(['max']);
+
+            p.age = -1;
+            p.validate(function(errors) {
+                rulesFor(errors, 'age').should.eql(['min']);
+                done();
+            });
+        });
+    });
+
+    it('custom async rules are run', function(done) {
+        var User = Model.derive({
+            attributes: {
+                name: {
+                    type: 'string',
+                    custom: function(value, model, callback) {
+                        process.nextTick(function() {
+                            callback(value === 'joe' ? 'nobody can be called joe' : null);
+                        });
+                    }
+                }
+            }
+        });
+
+        new User({ name: 'joe' }).validate(function(errors) {
+            errors.should.eql([{ field: 'name', rule: 'custom', message: 'nobody can be called joe' }]);
+
+            new User({ name: 'frank' }).validate(function(errors) {
+                errors.length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it('custom rules can return their message', function(done) {
+        var User = Model.derive({
+            attributes: {
+                name: {
+                    custom: function(value) {
+                        return value === 'bad' ? 'no' : null;
+                    }
+                }
+            }
+        });
+
+        new User({ name: 'bad' }).save(function(error) {
+            error.validationErrors.should.eql([{ field: 'name', rule: 'custom', message: 'no' }]);
+
+            new User({ name: 'good' }).validate(function(errors) {
+                errors.length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it('save returns rule errors in validationErrors', function(done) {
+        var p = new Person({});
+        p.save(function(error) {
+            error.validationErrors[0].field.should.equal('name');
+            error.validationErrors[0].rule.should.equal('required');
+            done();
+        });
+    });
+
+    it('overridden validate composes with the rules via super_', function(done) {
+        var Employee = Person.derive({
+            validate: function(callback) {
+                var self = this;
+                Employee.super_.validate.call(this, function(errors) {
+                    if (self.salary > 5000) {
+                        errors.push({ field: 'salary', rule: 'budget', message: 'paid too much' });
+                    }
+                    callback(errors);
+                });
+            }
+        });
+
+        new Employee({ salary: 10000 }).validate(function(errors) {
+            rulesFor(errors, 'name').should.eql(['required']);
+            rulesFor(errors, 'salary').should.eql(['budget']);
+            done();
+        });
+    });
+});